@@ -0,0 +1,82 @@
+/**
+ * Headless analysis of WAV files: prints analyzeAudioBuffer results as JSON.
+ *
+ *   npm run analyze -- take.wav                 → the results object
+ *   npm run analyze -- a.wav b.wav hums/        → [{ file, results } | { file, error }]
+ *
+ * Directories are searched recursively for .wav files.
+ * --preprocess  run the recorder's pre-processing chain first, as the app does
+ * --text        include the prompt description as `analysisText`
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { decodeWav } from '../src/utils/wavDecoder.js'
+import { analyzeAudioBuffer, buildAnalysisText } from '../src/utils/audioAnalysis.js'
+import { analyzeRecording } from '../src/utils/analysisPipeline.js'
+
+const USAGE = 'Usage: npm run analyze -- [--preprocess] [--text] <file.wav | directory> ...'
+
+async function collectFiles(target) {
+  const info = await stat(target)
+  if (!info.isDirectory()) return [target]
+  const entries = await readdir(target, { recursive: true })
+  return entries
+    .filter(entry => entry.toLowerCase().endsWith('.wav'))
+    .sort()
+    .map(entry => path.join(target, entry))
+}
+
+async function analyzeFile(file, { preprocess, text }) {
+  const audioBuffer = decodeWav(await readFile(file))
+  const results = preprocess ? analyzeRecording(audioBuffer) : analyzeAudioBuffer(audioBuffer)
+  return text ? { ...results, analysisText: buildAnalysisText(results) } : results
+}
+
+async function main(args) {
+  const options = {
+    preprocess: args.includes('--preprocess'),
+    text: args.includes('--text'),
+  }
+  const targets = args.filter(arg => !arg.startsWith('--'))
+  if (targets.length === 0) {
+    console.error(USAGE)
+    return 2
+  }
+
+  const files = []
+  for (const target of targets) {
+    try {
+      files.push(...await collectFiles(target))
+    } catch (err) {
+      console.error(`${target}: ${err.message}`)
+      return 1
+    }
+  }
+
+  // A single file argument prints its results directly
+  if (files.length === 1 && targets.length === 1 && files[0] === targets[0]) {
+    try {
+      console.log(JSON.stringify(await analyzeFile(files[0], options), null, 2))
+      return 0
+    } catch (err) {
+      console.error(`${files[0]}: ${err.message}`)
+      return 1
+    }
+  }
+
+  const output = []
+  let failed = 0
+  for (const file of files) {
+    try {
+      output.push({ file, results: await analyzeFile(file, options) })
+    } catch (err) {
+      output.push({ file, error: err.message })
+      failed++
+    }
+  }
+  console.log(JSON.stringify(output, null, 2))
+  return failed > 0 ? 1 : 0
+}
+
+process.exitCode = await main(process.argv.slice(2))
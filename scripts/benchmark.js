@@ -0,0 +1,21 @@
+/**
+ * Accuracy benchmark for the analysis detectors against synthetic ground truth.
+ *
+ *   npm run benchmark                    → text report
+ *   npm run benchmark -- tempo key       → selected suites only
+ *   npm run benchmark -- --json          → full per-case JSON, for diffing runs
+ */
+
+import { runBenchmark, formatBenchmarkReport, BENCHMARK_SUITES } from '../src/utils/analysisBenchmark.js'
+
+const args = process.argv.slice(2)
+const suites = args.filter(arg => !arg.startsWith('--'))
+const unknown = suites.filter(suite => !BENCHMARK_SUITES[suite])
+
+if (unknown.length > 0) {
+  console.error(`Unknown suite(s): ${unknown.join(', ')}. Available: ${Object.keys(BENCHMARK_SUITES).join(', ')}`)
+  process.exitCode = 2
+} else {
+  const report = runBenchmark(suites.length > 0 ? suites : undefined)
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatBenchmarkReport(report))
+}
@@ -231,6 +231,7 @@ function App() {
                     <div className="results-col-lyrics">
                       <LyricsDisplay
                         lyrics={generatedSong.lyrics}
+                        chordProgression={generatedSong.chordProgression}
                         isPlaying={isPlaying}
                         audioRef={audioRef}
                       />
@@ -1,41 +1,178 @@
 import { useState, useRef, useEffect, useCallback } from 'react'
-import { analyzeAudioBuffer, buildAnalysisText } from '../utils/audioAnalysis'
+import { buildAnalysisText, isUncertain, mergeLayeredAnalyses } from '../utils/audioAnalysis'
+import { analyzeInWorker } from '../utils/analysisClient'
+import { createMidiBlob } from '../utils/midiWriter'
+import { describePreprocessing } from '../utils/audioPreprocessing'
+import { DRUM_TYPES, DRUM_LABELS } from '../utils/drumPattern'
+import { midiToNoteName } from '../utils/melodyTranscription'
+import { createLiveAnalyzer } from '../utils/liveAnalysis'
+import { sliceAudioBuffer, waveformPeaks } from '../utils/analysisInput'
+import { encodeWavBlob } from '../utils/wavEncoder'
+import { openCapture, captureErrorMessage, decodeAudioBlob } from '../utils/audioCapture'
+import { createMetronome, METRONOME_METERS, METRONOME_MIN_BPM, METRONOME_MAX_BPM } from '../utils/metronome'
+import { loadInputSettings, saveInputSettings, listInputDevices } from '../utils/inputSettings'
+import AudioTrimmer from './AudioTrimmer'
+import TakeList from './TakeList'
 import './AudioRecorder.css'
 
-const MAX_DURATION = 8
-const MIN_DURATION = 1
+// Recording length limits, unless the parent sets its own
+const DEFAULT_MAX_DURATION = 8
+const DEFAULT_MIN_DURATION = 1
+// Uploaded files are trimmed to a window of at most this many seconds (or the recording limit, if longer)
+const MAX_UPLOAD_DURATION = 30
+const UPLOAD_EXTENSIONS = ['wav', 'mp3', 'm4a', 'webm', 'ogg']
+// Time to set up the first click before it sounds
+const CLICK_LEAD_SECONDS = 0.1
+const BLACK_KEYS = [1, 3, 6, 8, 10]
+// The live readout re-renders at most this often; analysis still runs every frame
+const READOUT_INTERVAL_MS = 100
+const LEVEL_FLOOR_DB = -60
+// Older takes are dropped beyond this many; the newest is always kept
+const MAX_TAKES = 6
+const TAKE_PEAK_COLUMNS = 48
 
-function AudioRecorder({ onRecordingComplete }) {
-  const [status, setStatus] = useState('idle') // idle | recording | analyzing | done | error
+// Close the context held in `ref`, if it is still open
+function closeAudioContext(ref) {
+  if (ref.current && ref.current.state !== 'closed') ref.current.close()
+  ref.current = null
+}
+
+function isSupportedUpload(file) {
+  const extension = file.name.split('.').pop().toLowerCase()
+  return UPLOAD_EXTENSIONS.includes(extension) || file.type.startsWith('audio/')
+}
+
+/**
+ * Semitones shown on the range strip: whole octaves from C, at least two,
+ * always covering the hummed range.
+ */
+function rangeStripKeys(vocalRange) {
+  const start = Math.min(48, vocalRange.lowest.midi - (vocalRange.lowest.midi % 12))
+  const end = Math.max(start + 24, vocalRange.highest.midi - (vocalRange.highest.midi % 12) + 12)
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i)
+}
+
+/**
+ * What the parent receives for the chosen take.
+ */
+function toRecordingData(take) {
+  return {
+    audioBlob: take.audioBlob,
+    analysisResults: take.analysisResults,
+    analysisText: take.analysisText,
+    takeNumber: take.number,
+    parts: take.parts || null,
+  }
+}
+
+/**
+ * A take made by recording a part over an earlier take: the two analyses are
+ * merged, and `parts` keeps each part's audio and analysis by role. The base
+ * take played back from the moment recording began, so a part trimmed to start
+ * `partOffsetMs` in lines up that far into the base take; each part keeps its
+ * start on that shared clock as `originMs`.
+ */
+function layerTake(baseTake, part, partOffsetMs) {
+  const analysisResults = mergeLayeredAnalyses(baseTake.analysisResults, part.analysisResults, partOffsetMs)
+  const inputs = [{ ...baseTake, originMs: 0 }, { ...part, originMs: partOffsetMs }]
+  const toPart = (take) => ({
+    takeNumber: take.number,
+    audioBlob: take.audioBlob,
+    analysisResults: take.analysisResults,
+    originMs: take.originMs,
+  })
+  return {
+    ...part,
+    analysisResults,
+    analysisText: buildAnalysisText(analysisResults),
+    layeredOn: baseTake.number,
+    parts: {
+      melody: toPart(inputs[analysisResults.layers.melody]),
+      rhythm: toPart(inputs[analysisResults.layers.rhythm]),
+    },
+  }
+}
+
+/**
+ * Records or uploads takes and analyses them. Every analysed take is kept in a
+ * list; the chosen one is passed to onRecordingComplete (null once none is left).
+ * A parent that outlives the recorder can hand back `initialTakes` and
+ * `initialChosenNumber`, keeping them current through onTakesChange.
+ * Each recording stops at maxDuration seconds and is reviewed and trimmed before
+ * analysis; neither a recording nor a trimmed window can be under minDuration.
+ */
+function AudioRecorder({
+  onRecordingComplete,
+  preprocessingOptions,
+  initialTakes = [],
+  initialChosenNumber = null,
+  onTakesChange,
+  maxDuration = DEFAULT_MAX_DURATION,
+  minDuration = DEFAULT_MIN_DURATION,
+}) {
+  const initialChosen = initialTakes.find(t => t.number === initialChosenNumber) || null
+  const [status, setStatus] = useState(initialChosen ? 'done' : 'idle') // idle | counting | recording | loading | trimming | analyzing | done | error
   const [elapsedTime, setElapsedTime] = useState(0)
   const [errorMessage, setErrorMessage] = useState(null)
-  const [analysisResults, setAnalysisResults] = useState(null)
-  const [analysisText, setAnalysisText] = useState('')
+  const [analysisResults, setAnalysisResults] = useState(initialChosen?.analysisResults || null)
+  const [analysisText, setAnalysisText] = useState(initialChosen?.analysisText || '')
+  const [takes, setTakes] = useState(initialTakes)
+  const [chosenNumber, setChosenNumber] = useState(initialChosen?.number ?? null)
+  const [layerBase, setLayerBase] = useState(null) // take played back under the part being recorded, while recording
+  const [analysisProgress, setAnalysisProgress] = useState(null)
+  const [liveReadout, setLiveReadout] = useState(null)
+  const [review, setReview] = useState(null) // { title, audioBuffer, maxDuration, isUpload, backing } while trimming
+  const [isDragging, setIsDragging] = useState(false)
+  const [metronome, setMetronome] = useState({ bpm: 100, meter: '4/4', countIn: false, click: false })
+  const [currentBeat, setCurrentBeat] = useState(null)
+  const [inputSettings, setInputSettings] = useState(loadInputSettings)
+  const [inputDevices, setInputDevices] = useState([])
 
-  const mediaRecorderRef = useRef(null)
-  const audioChunksRef = useRef([])
+  const captureRef = useRef(null)
   const canvasRef = useRef(null)
   const analyserRef = useRef(null)
+  const pitchAnalyserRef = useRef(null)
+  const liveAnalyzerRef = useRef(null)
+  const lastReadoutRef = useRef(0)
   const audioContextRef = useRef(null)
   const animationFrameRef = useRef(null)
   const timerRef = useRef(null)
-  const streamRef = useRef(null)
   const startTimeRef = useRef(null)
+  const analysisAbortRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const metronomeRef = useRef(null)
+  const countInTimeoutRef = useRef(null)
+  const tempoPriorRef = useRef(null)
+  const backingSourceRef = useRef(null)
+  const nextTakeNumberRef = useRef(Math.max(0, ...initialTakes.map(t => t.number)) + 1)
 
   // Cleanup on unmount
   useEffect(() => {
     return () => {
+      analysisAbortRef.current?.abort()
+      metronomeRef.current?.stop()
+      backingSourceRef.current?.disconnect()
+      clearTimeout(countInTimeoutRef.current)
       cancelAnimationFrame(animationFrameRef.current)
       clearInterval(timerRef.current)
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(t => t.stop())
-      }
-      if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-        audioContextRef.current.close()
-      }
+      captureRef.current?.cancel()
+      closeAudioContext(audioContextRef)
     }
   }, [])
 
+  // Input devices, refreshed when one is plugged in or removed
+  useEffect(() => {
+    const refresh = () => listInputDevices().then(setInputDevices).catch(() => setInputDevices([]))
+    refresh()
+    navigator.mediaDevices?.addEventListener?.('devicechange', refresh)
+    return () => navigator.mediaDevices?.removeEventListener?.('devicechange', refresh)
+  }, [])
+
+  // Keep the parent's copy current so takes survive the recorder unmounting
+  useEffect(() => {
+    onTakesChange?.(takes)
+  }, [takes, onTakesChange])
+
   const drawWaveform = useCallback(() => {
     const canvas = canvasRef.current
     const analyser = analyserRef.current
@@ -44,11 +181,25 @@ function AudioRecorder({ onRecordingComplete }) {
     const ctx = canvas.getContext('2d')
     const bufferLength = analyser.frequencyBinCount
     const dataArray = new Uint8Array(bufferLength)
+    const pitchAnalyser = pitchAnalyserRef.current
+    const timeData = pitchAnalyser ? new Float32Array(pitchAnalyser.fftSize) : null
 
     const draw = () => {
       animationFrameRef.current = requestAnimationFrame(draw)
       analyser.getByteFrequencyData(dataArray)
 
+      // Live pitch, tempo and level from the larger time-domain window
+      if (pitchAnalyser && liveAnalyzerRef.current) {
+        pitchAnalyser.getFloatTimeDomainData(timeData)
+        const audioContext = pitchAnalyser.context
+        const readout = liveAnalyzerRef.current.update(timeData, audioContext.sampleRate, audioContext.currentTime * 1000)
+        const now = performance.now()
+        if (now - lastReadoutRef.current >= READOUT_INTERVAL_MS) {
+          lastReadoutRef.current = now
+          setLiveReadout(readout)
+        }
+      }
+
       const width = canvas.width
       const height = canvas.height
 
@@ -124,45 +275,51 @@ function AudioRecorder({ onRecordingComplete }) {
     }
   }, [status, drawIdleWaveform])
 
-  const startRecording = async () => {
+  // Record a take; given a backing take, record a new part while it plays back
+  const startRecording = async (backing = null) => {
     setErrorMessage(null)
     setAnalysisResults(null)
     setAnalysisText('')
-    audioChunksRef.current = []
+    setLayerBase(backing)
 
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
-      streamRef.current = stream
+      // Echo cancellation keeps a speaker click or backing out of the take; headphones do it best
+      const capture = await openCapture({
+        ...inputSettings,
+        echoCancellation: inputSettings.echoCancellation || metronome.click || !!backing,
+      }, { onComplete: (audioBlob) => reviewRecording(audioBlob, backing) })
+      captureRef.current = capture
+      // Device names are only readable once microphone access is granted
+      listInputDevices().then(setInputDevices).catch(() => {})
 
-      // Set up Web Audio API for visualization
+      // Set up Web Audio API for visualization; each take gets a fresh context
+      closeAudioContext(audioContextRef)
       const audioContext = new (window.AudioContext || window.webkitAudioContext)()
       audioContextRef.current = audioContext
-      const source = audioContext.createMediaStreamSource(stream)
+      const source = audioContext.createMediaStreamSource(capture.stream)
       const analyser = audioContext.createAnalyser()
       analyser.fftSize = 256
       analyser.smoothingTimeConstant = 0.6
       source.connect(analyser)
       analyserRef.current = analyser
 
-      // Set up MediaRecorder
-      const mediaRecorder = new MediaRecorder(stream)
-      mediaRecorderRef.current = mediaRecorder
+      // A longer window for live pitch: long enough for the lowest hummed notes
+      const pitchAnalyser = audioContext.createAnalyser()
+      pitchAnalyser.fftSize = 2048
+      source.connect(pitchAnalyser)
+      pitchAnalyserRef.current = pitchAnalyser
+      liveAnalyzerRef.current = createLiveAnalyzer()
+      setLiveReadout(null)
 
-      mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          audioChunksRef.current.push(event.data)
-        }
+      // The earlier part, started together with the recording
+      backingSourceRef.current = null
+      if (backing) {
+        const backingSource = audioContext.createBufferSource()
+        backingSource.buffer = await audioContext.decodeAudioData(await backing.audioBlob.arrayBuffer())
+        backingSource.connect(audioContext.destination)
+        backingSourceRef.current = backingSource
       }
 
-      mediaRecorder.onstop = () => {
-        const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' })
-        handleRecordingComplete(audioBlob)
-      }
-
-      mediaRecorder.start(100) // collect data every 100ms
-      setStatus('recording')
-      startTimeRef.current = Date.now()
-
       // Set canvas dimensions
       const canvas = canvasRef.current
       if (canvas) {
@@ -174,27 +331,55 @@ function AudioRecorder({ onRecordingComplete }) {
       // Start waveform visualization
       drawWaveform()
 
-      // Start timer
-      setElapsedTime(0)
-      timerRef.current = setInterval(() => {
-        const elapsed = (Date.now() - startTimeRef.current) / 1000
-        setElapsedTime(Math.min(elapsed, MAX_DURATION))
+      const beginTake = () => {
+        capture.start()
+        backingSourceRef.current?.start()
+        setStatus('recording')
+        startTimeRef.current = Date.now()
 
-        // Auto-stop at max duration
-        if (elapsed >= MAX_DURATION) {
-          stopRecording()
-        }
-      }, 100)
+        // Start timer
+        setElapsedTime(0)
+        timerRef.current = setInterval(() => {
+          const elapsed = (Date.now() - startTimeRef.current) / 1000
+          setElapsedTime(Math.min(elapsed, maxDuration))
 
+          // Auto-stop at max duration
+          if (elapsed >= maxDuration) {
+            stopRecording()
+          }
+        }, 100)
+      }
+
+      // Click track and count-in; the click tempo, or else the backing's when it was confidently detected,
+      // becomes the prior for tempo detection
+      tempoPriorRef.current = backing && !isUncertain(backing.analysisResults, 'tempo') ? backing.analysisResults.tempo : null
+      setCurrentBeat(null)
+      if (metronome.countIn || metronome.click) {
+        const { beatsPerBar } = METRONOME_METERS.find(m => m.meter === metronome.meter)
+        const click = createMetronome(audioContext, {
+          bpm: metronome.bpm,
+          beatsPerBar,
+          onBeat: (beat) => setCurrentBeat(beat % beatsPerBar),
+        })
+        const startAt = audioContext.currentTime + CLICK_LEAD_SECONDS
+        const takeStartsAt = metronome.countIn ? startAt + beatsPerBar * click.beatSeconds : startAt
+        click.start(startAt, metronome.click ? Infinity : takeStartsAt)
+        metronomeRef.current = click
+        tempoPriorRef.current = metronome.bpm
+
+        if (metronome.countIn) {
+          setStatus('counting')
+          countInTimeoutRef.current = setTimeout(beginTake, (takeStartsAt - audioContext.currentTime) * 1000)
+          return
+        }
+      }
+      beginTake()
     } catch (err) {
+      captureRef.current?.cancel()
+      closeAudioContext(audioContextRef)
+      setLayerBase(null)
       setStatus('error')
-      if (err.name === 'NotAllowedError') {
-        setErrorMessage('Microphone access denied. Please allow microphone access and try again.')
-      } else if (err.name === 'NotFoundError') {
-        setErrorMessage('No microphone found. Please connect a microphone and try again.')
-      } else {
-        setErrorMessage(`Recording failed: ${err.message}`)
-      }
+      setErrorMessage(captureErrorMessage(err))
     }
   }
 
@@ -207,63 +392,230 @@ function AudioRecorder({ onRecordingComplete }) {
 
     // Check minimum duration
     const elapsed = startTimeRef.current ? (Date.now() - startTimeRef.current) / 1000 : 0
-    if (elapsed < MIN_DURATION) {
+    if (elapsed < minDuration) {
       // Too short, keep recording
       return
     }
 
-    // Stop MediaRecorder (triggers onstop → handleRecordingComplete)
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
-      mediaRecorderRef.current.stop()
-    }
+    // Stop click track and backing
+    metronomeRef.current?.stop()
+    metronomeRef.current = null
+    backingSourceRef.current?.disconnect()
+
+    // Stop recording and release the microphone (the capture hands the take to reviewRecording)
+    captureRef.current?.stop()
+    closeAudioContext(audioContextRef)
+  }, [minDuration])
 
-    // Stop microphone stream
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(t => t.stop())
+  // Let the user hear the take and cut fumbled edges before it is analysed;
+  // a part recorded over `backing` is layered onto it once analysed
+  const reviewRecording = async (audioBlob, backing) => {
+    setLayerBase(null)
+    setStatus('loading')
+    try {
+      const audioBuffer = await decodeAudioBlob(audioBlob)
+      setReview({ title: `TAKE ${nextTakeNumberRef.current}`, audioBuffer, maxDuration, isUpload: false, backing })
+      setStatus('trimming')
+    } catch (err) {
+      setStatus('error')
+      setErrorMessage(`Could not read the recording: ${err.message}`)
     }
-  }, [])
+  }
 
-  const handleRecordingComplete = async (audioBlob) => {
+  // Analyse a trimmed take; audioBlob is kept with it for playback and generation.
+  // trimStart (seconds) is where the trimmed window began in the recording; a part
+  // recorded over a `backing` take is layered onto it.
+  const handleRecordingComplete = async (audioBlob, audioBuffer, { trimStart, backing }) => {
     setStatus('analyzing')
+    setAnalysisProgress(null)
+    const controller = new AbortController()
+    analysisAbortRef.current = controller
 
     try {
-      // Decode audio blob to AudioBuffer
-      const arrayBuffer = await audioBlob.arrayBuffer()
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)()
-      const audioBuffer = await audioContext.decodeAudioData(arrayBuffer)
+      // Clean up the take (silence, DC offset, rumble, level) and analyse it off the main thread
+      const results = await analyzeInWorker(audioBuffer, {
+        preprocessingOptions,
+        tempoPrior: tempoPriorRef.current,
+        onProgress: setAnalysisProgress,
+        signal: controller.signal,
+      })
+      const part = {
+        number: nextTakeNumberRef.current++,
+        audioBlob,
+        peaks: waveformPeaks(audioBuffer, TAKE_PEAK_COLUMNS),
+        duration: audioBuffer.duration,
+        analysisResults: results,
+      }
+      const take = backing
+        ? layerTake(backing, part, Math.round(trimStart * 1000))
+        : { ...part, analysisText: buildAnalysisText(results) }
+
+      setTakes(prev => [...prev, take].slice(-MAX_TAKES))
+      chooseTake(take)
+    } catch (err) {
+      // Cancelled by RE-RECORD; the recorder has already been reset
+      if (err.name === 'AbortError') return
+      setStatus('error')
+      setErrorMessage(`Audio analysis failed: ${err.message}`)
+    } finally {
+      if (analysisAbortRef.current === controller) analysisAbortRef.current = null
+    }
+  }
 
-      // Run analysis
-      const results = analyzeAudioBuffer(audioBuffer)
-      const text = buildAnalysisText(results)
+  // Show a take's analysis and hand it to the parent for generation
+  const chooseTake = (take) => {
+    setChosenNumber(take.number)
+    setAnalysisResults(take.analysisResults)
+    setAnalysisText(take.analysisText)
+    setErrorMessage(null)
+    setStatus('done')
+    onRecordingComplete?.(toRecordingData(take))
+  }
 
-      setAnalysisResults(results)
-      setAnalysisText(text)
-      setStatus('done')
+  const deleteTake = (take) => {
+    const remaining = takes.filter(t => t.number !== take.number)
+    setTakes(remaining)
+    if (take.number !== chosenNumber) return
 
-      // Close the temporary audio context
-      await audioContext.close()
+    // Fall back to the newest remaining take
+    const fallback = remaining[remaining.length - 1]
+    if (fallback) {
+      chooseTake(fallback)
+    } else {
+      setChosenNumber(null)
+      resetRecording()
+      onRecordingComplete?.(null)
+    }
+  }
 
-      // Notify parent
-      if (onRecordingComplete) {
-        onRecordingComplete({
-          audioBlob,
-          analysisResults: results,
-          analysisText: text,
-        })
+  const handleFile = async (file) => {
+    if (!file) return
+    tempoPriorRef.current = null
+    setLayerBase(null)
+    setErrorMessage(null)
+    setAnalysisResults(null)
+    setAnalysisText('')
+
+    if (!isSupportedUpload(file)) {
+      setStatus('error')
+      setErrorMessage(`Unsupported file type. Upload ${UPLOAD_EXTENSIONS.join(', ')}.`)
+      return
+    }
+
+    setStatus('loading')
+    try {
+      const audioBuffer = await decodeAudioBlob(file)
+      if (audioBuffer.duration < minDuration) {
+        setStatus('error')
+        setErrorMessage(`That file is shorter than ${minDuration}s. Upload a longer take.`)
+        return
       }
+      setReview({
+        title: file.name,
+        audioBuffer,
+        maxDuration: Math.max(MAX_UPLOAD_DURATION, maxDuration),
+        isUpload: true,
+        backing: null,
+      })
+      setStatus('trimming')
     } catch (err) {
       setStatus('error')
-      setErrorMessage(`Audio analysis failed: ${err.message}`)
+      setErrorMessage(`Could not decode ${file.name}: ${err.message || 'unsupported audio format'}`)
     }
   }
 
+  const handleFileInput = (e) => {
+    handleFile(e.target.files[0])
+    // Allow picking the same file again
+    e.target.value = ''
+  }
+
+  const canAcceptFile = status === 'idle' || status === 'done' || status === 'error'
+
+  const handleDragOver = (e) => {
+    if (!canAcceptFile) return
+    e.preventDefault()
+    setIsDragging(true)
+  }
+
+  const handleDragLeave = (e) => {
+    // Moving between child elements also fires dragleave
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    if (canAcceptFile) handleFile(e.dataTransfer.files[0])
+  }
+
+  // Analyse only the chosen window, and hand it on as a WAV
+  const handleTrimConfirm = ({ start, end }) => {
+    const trimmed = sliceAudioBuffer(review.audioBuffer, start, end)
+    setReview(null)
+    handleRecordingComplete(encodeWavBlob(trimmed), trimmed, { trimStart: start, backing: review.backing })
+  }
+
+  // Abandon the take during the count-in, before anything has been recorded
+  const cancelCountIn = () => {
+    clearTimeout(countInTimeoutRef.current)
+    metronomeRef.current?.stop()
+    metronomeRef.current = null
+    backingSourceRef.current?.disconnect()
+    cancelAnimationFrame(animationFrameRef.current)
+    captureRef.current?.cancel()
+    closeAudioContext(audioContextRef)
+    setCurrentBeat(null)
+    setLayerBase(null)
+    setStatus('idle')
+  }
+
+  const updateMetronome = (changes) => setMetronome(prev => ({ ...prev, ...changes }))
+
+  const updateInputSettings = (changes) => {
+    const next = { ...inputSettings, ...changes }
+    setInputSettings(next)
+    saveInputSettings(next)
+  }
+
+  const clampBpm = () => updateMetronome({
+    bpm: Math.round(Math.min(METRONOME_MAX_BPM, Math.max(METRONOME_MIN_BPM, metronome.bpm || METRONOME_MIN_BPM))),
+  })
+
+  const chosenTake = takes.find(t => t.number === chosenNumber) || null
+
+  const beatsPerBar = METRONOME_METERS.find(m => m.meter === metronome.meter).beatsPerBar
+  const showBeats = (status === 'counting' || status === 'recording') && currentBeat !== null
+
   const resetRecording = () => {
+    analysisAbortRef.current?.abort()
+    analysisAbortRef.current = null
+    setReview(null)
+    setLayerBase(null)
+    setAnalysisProgress(null)
     setStatus('idle')
     setElapsedTime(0)
     setErrorMessage(null)
     setAnalysisResults(null)
     setAnalysisText('')
-    audioChunksRef.current = []
+  }
+
+  const analysisItemClass = (feature) => (
+    isUncertain(analysisResults, feature) ? 'analysis-item is-uncertain' : 'analysis-item'
+  )
+
+  const uncertaintyReason = (feature) => (
+    isUncertain(analysisResults, feature) ? `Low confidence: ${analysisResults.confidence[feature].reason}` : undefined
+  )
+
+  const downloadMidi = () => {
+    if (!analysisResults?.notes?.length) return
+    const url = URL.createObjectURL(createMidiBlob(analysisResults))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = 'vibehum-melody.mid'
+    a.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
   }
 
   const formatTime = (seconds) => {
@@ -273,7 +625,12 @@ function AudioRecorder({ onRecordingComplete }) {
   }
 
   return (
-    <div className="audio-recorder">
+    <div
+      className={`audio-recorder ${isDragging ? 'is-dragging' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <h2 className="recorder-title">AUDIO CAPTURE</h2>
 
       {/* Waveform canvas */}
@@ -286,27 +643,205 @@ function AudioRecorder({ onRecordingComplete }) {
         <span className="timer-display">
           {formatTime(elapsedTime)}
         </span>
-        <span className="timer-max">/ {MAX_DURATION}.0s</span>
+        <span className="timer-max">/ {maxDuration.toFixed(1)}s</span>
       </div>
 
+      {/* Metronome beat, during the count-in and under a click track */}
+      {showBeats && (
+        <div className="metronome-beats" aria-hidden="true">
+          {Array.from({ length: beatsPerBar }, (_, beat) => (
+            <span
+              key={beat}
+              className={`metronome-beat ${beat === 0 ? 'is-accent' : ''} ${beat === currentBeat ? 'is-active' : ''}`}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Live readout while recording */}
+      {status === 'recording' && (
+        <div className="live-readout">
+          <div className={`live-item live-pitch ${liveReadout?.pitch?.inTune ? 'is-in-tune' : ''}`}>
+            <span className="analysis-label">NOTE</span>
+            <span className="live-value">{liveReadout?.pitch?.note || '—'}</span>
+            <div className="tuning-meter">
+              {liveReadout?.pitch && (
+                <span className="tuning-needle" style={{ left: `${50 + liveReadout.pitch.cents}%` }} />
+              )}
+            </div>
+            <span className="live-detail">
+              {liveReadout?.pitch
+                ? `${liveReadout.pitch.cents > 0 ? '+' : ''}${liveReadout.pitch.cents}¢`
+                : 'no pitch'}
+            </span>
+          </div>
+          <div className="live-item">
+            <span className="analysis-label">TEMPO</span>
+            <span className="live-value">{liveReadout?.bpm || '—'}</span>
+            <span className="live-detail">{liveReadout?.bpm ? 'BPM' : 'finding the beat'}</span>
+          </div>
+          <div className={`live-item ${liveReadout?.level.clipping ? 'is-clipping' : ''}`}>
+            <span className="analysis-label">LEVEL</span>
+            <div className="level-meter">
+              <span
+                className="level-meter-fill"
+                style={{
+                  width: `${liveReadout ? Math.max(0, 100 * (1 - liveReadout.level.peak / LEVEL_FLOOR_DB)) : 0}%`,
+                }}
+              />
+            </div>
+            <span className="live-detail">
+              {liveReadout?.level.clipping
+                ? 'CLIPPING'
+                : liveReadout && !liveReadout.level.silent ? `${liveReadout.level.peak} dB` : 'too quiet'}
+            </span>
+          </div>
+          {liveReadout?.level.warning === 'clipping' && (
+            <p className="input-warning is-clipping">Input is clipping. Back off the mic or lower the input gain.</p>
+          )}
+          {liveReadout?.level.warning === 'quiet' && (
+            <p className="input-warning">Input is very quiet. Move closer to the mic or raise the input gain.</p>
+          )}
+        </div>
+      )}
+
       {/* Status text */}
       <p className="status-text">
-        {status === 'idle' && 'Press to record your hum, melody, or beatbox'}
-        {status === 'recording' && 'Recording...'}
-        {status === 'analyzing' && 'Analyzing audio...'}
+        {status === 'idle' && 'Press to record your hum, melody, or beatbox, or drop in a voice memo'}
+        {status === 'loading' && 'Decoding file...'}
+        {status === 'trimming' && review?.isUpload && `Choose up to ${review.maxDuration}s to analyze`}
+        {status === 'trimming' && review && !review.isUpload && 'Listen back and trim any fumbled start or end'}
+        {status === 'counting' && `Count-in... ${currentBeat !== null ? currentBeat + 1 : ''}`}
+        {status === 'recording' && !layerBase && 'Recording...'}
+        {status === 'recording' && layerBase && `Recording over take ${layerBase.number} with echo cancellation on... Use headphones to keep its playback out of this part`}
+        {status === 'analyzing' && `Analyzing audio...${analysisProgress ? ` ${analysisProgress.label}` : ''}`}
         {status === 'done' && 'Analysis complete'}
         {status === 'error' && errorMessage}
       </p>
 
+      {/* Input device and processing */}
+      {status === 'idle' && (
+        <div className="recorder-settings">
+          <span className="analysis-label">INPUT</span>
+          <select
+            className="input-device"
+            value={inputSettings.deviceId || ''}
+            onChange={(e) => updateInputSettings({ deviceId: e.target.value || null })}
+          >
+            <option value="">Default microphone</option>
+            {inputDevices.filter(d => d.deviceId && d.deviceId !== 'default').map(d => (
+              <option key={d.deviceId} value={d.deviceId}>{d.label}</option>
+            ))}
+          </select>
+          <label className={`settings-toggle ${metronome.click ? 'is-forced' : ''}`}>
+            <input
+              type="checkbox"
+              checked={inputSettings.echoCancellation || metronome.click}
+              disabled={metronome.click}
+              onChange={(e) => updateInputSettings({ echoCancellation: e.target.checked })}
+            />
+            ECHO CANCEL
+          </label>
+          <label className="settings-toggle">
+            <input
+              type="checkbox"
+              checked={inputSettings.noiseSuppression}
+              onChange={(e) => updateInputSettings({ noiseSuppression: e.target.checked })}
+            />
+            NOISE SUPPRESSION
+          </label>
+          <label className="settings-toggle">
+            <input
+              type="checkbox"
+              checked={inputSettings.autoGainControl}
+              onChange={(e) => updateInputSettings({ autoGainControl: e.target.checked })}
+            />
+            AUTO GAIN
+          </label>
+          {metronome.click && (
+            <p className="settings-hint">Echo cancellation stays on while the click plays, to keep it out of the take</p>
+          )}
+          {(inputSettings.noiseSuppression || inputSettings.autoGainControl) && (
+            <p className="settings-hint">Noise suppression and auto gain are tuned for speech and can smear sustained hums</p>
+          )}
+        </div>
+      )}
+
+      {/* Metronome settings */}
+      {status === 'idle' && (
+        <div className="recorder-settings">
+          <span className="analysis-label">METRONOME</span>
+          <label className="settings-field">
+            <input
+              type="number"
+              className="metronome-bpm"
+              min={METRONOME_MIN_BPM}
+              max={METRONOME_MAX_BPM}
+              value={metronome.bpm}
+              onChange={(e) => updateMetronome({ bpm: Number(e.target.value) })}
+              onBlur={clampBpm}
+            />
+            BPM
+          </label>
+          <select
+            className="metronome-meter"
+            value={metronome.meter}
+            onChange={(e) => updateMetronome({ meter: e.target.value })}
+          >
+            {METRONOME_METERS.map(({ meter }) => (
+              <option key={meter} value={meter}>{meter}</option>
+            ))}
+          </select>
+          <label className="settings-toggle">
+            <input
+              type="checkbox"
+              checked={metronome.countIn}
+              onChange={(e) => updateMetronome({ countIn: e.target.checked })}
+            />
+            COUNT-IN
+          </label>
+          <label className="settings-toggle">
+            <input
+              type="checkbox"
+              checked={metronome.click}
+              onChange={(e) => updateMetronome({ click: e.target.checked })}
+            />
+            CLICK
+          </label>
+          {metronome.click && (
+            <p className="settings-hint">Use headphones so the click stays out of the recording</p>
+          )}
+        </div>
+      )}
+
       {/* Controls */}
       <div className="controls-row">
         {status === 'idle' && (
-          <button className="record-btn" onClick={startRecording}>
+          <button className="record-btn" onClick={() => startRecording()}>
             <span className="record-btn-inner" />
             <span className="record-btn-label">RECORD</span>
           </button>
         )}
 
+        {canAcceptFile && (
+          <button className="rerecord-btn" onClick={() => fileInputRef.current?.click()}>
+            UPLOAD
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={[...UPLOAD_EXTENSIONS.map(ext => `.${ext}`), 'audio/*'].join(',')}
+          className="upload-input"
+          onChange={handleFileInput}
+        />
+
+        {status === 'counting' && (
+          <button className="rerecord-btn" onClick={cancelCountIn}>
+            CANCEL
+          </button>
+        )}
+
         {status === 'recording' && (
           <button className="stop-btn" onClick={stopRecording}>
             <span className="stop-btn-ring ring-1" />
@@ -327,12 +862,30 @@ function AudioRecorder({ onRecordingComplete }) {
           </div>
         )}
 
-        {status === 'done' && (
+        {status === 'analyzing' && (
           <button className="rerecord-btn" onClick={resetRecording}>
             RE-RECORD
           </button>
         )}
 
+        {status === 'done' && (
+          <button className="rerecord-btn" onClick={resetRecording}>
+            NEW TAKE
+          </button>
+        )}
+
+        {status === 'done' && chosenTake && !chosenTake.parts && (
+          <button className="rerecord-btn" onClick={() => startRecording(chosenTake)}>
+            {chosenTake.analysisResults.inputType === 'beatboxing' ? 'LAYER MELODY' : 'LAYER RHYTHM'}
+          </button>
+        )}
+
+        {status === 'done' && analysisResults?.notes?.length > 0 && (
+          <button className="rerecord-btn" onClick={downloadMidi}>
+            DOWNLOAD MIDI
+          </button>
+        )}
+
         {status === 'error' && (
           <button className="rerecord-btn" onClick={resetRecording}>
             TRY AGAIN
@@ -340,33 +893,149 @@ function AudioRecorder({ onRecordingComplete }) {
         )}
       </div>
 
+      {status === 'trimming' && review && (
+        <AudioTrimmer
+          audioBuffer={review.audioBuffer}
+          title={review.title}
+          minDuration={minDuration}
+          maxDuration={review.maxDuration}
+          cancelLabel={review.isUpload ? 'CANCEL' : 'DISCARD'}
+          onConfirm={handleTrimConfirm}
+          onCancel={resetRecording}
+        />
+      )}
+
+      {status === 'analyzing' && analysisProgress && (
+        <div className="analysis-progress">
+          <div className="analysis-progress-fill" style={{ width: `${Math.round(analysisProgress.progress * 100)}%` }} />
+        </div>
+      )}
+
+      {/* Takes from this session */}
+      {takes.length > 0 && canAcceptFile && (
+        <TakeList takes={takes} chosenNumber={chosenNumber} onChoose={chooseTake} onDelete={deleteTake} />
+      )}
+
       {/* Analysis results */}
       {status === 'done' && analysisResults && (
         <div className="analysis-results">
-          <h3 className="analysis-title">AUDIO ANALYSIS</h3>
+          <h3 className="analysis-title">AUDIO ANALYSIS{chosenNumber !== null && ` · TAKE ${chosenNumber}`}</h3>
           <div className="analysis-grid">
-            <div className="analysis-item">
+            <div className={analysisItemClass('tempo')} title={uncertaintyReason('tempo')}>
               <span className="analysis-label">TEMPO</span>
               <span className="analysis-value">{analysisResults.tempo} BPM</span>
             </div>
-            <div className="analysis-item">
+            <div className={analysisItemClass('key')} title={uncertaintyReason('key')}>
               <span className="analysis-label">KEY</span>
               <span className="analysis-value">{analysisResults.key}</span>
             </div>
-            <div className="analysis-item">
+            <div className={analysisItemClass('energy')} title={uncertaintyReason('energy')}>
               <span className="analysis-label">ENERGY</span>
               <span className="analysis-value">{analysisResults.energyLevel}</span>
             </div>
-            <div className="analysis-item">
+            <div className={analysisItemClass('rhythm')} title={uncertaintyReason('rhythm')}>
               <span className="analysis-label">RHYTHM</span>
               <span className="analysis-value">{analysisResults.rhythm}</span>
             </div>
-            <div className="analysis-item">
+            <div className={analysisItemClass('contour')} title={uncertaintyReason('contour')}>
               <span className="analysis-label">MELODY</span>
               <span className="analysis-value">{analysisResults.contour}</span>
             </div>
+            <div className={analysisItemClass('inputType')} title={uncertaintyReason('inputType')}>
+              <span className="analysis-label">INPUT</span>
+              <span className="analysis-value">{analysisResults.inputType}</span>
+            </div>
           </div>
+          {chosenTake?.parts && (
+            <div className="timbre-descriptors">
+              <span className="timbre-tag">MELODY FROM TAKE {chosenTake.parts.melody.takeNumber}</span>
+              <span className="timbre-tag">RHYTHM FROM TAKE {chosenTake.parts.rhythm.takeNumber}</span>
+            </div>
+          )}
+          {analysisResults.timbre && (
+            <div className="timbre-descriptors">
+              <span className="timbre-tag">CENTROID {analysisResults.timbre.centroid} Hz</span>
+              <span className="timbre-tag">ROLLOFF {analysisResults.timbre.rolloff} Hz</span>
+              <span className="timbre-tag">FLATNESS {analysisResults.timbre.flatness}</span>
+              <span className="timbre-tag">HARMONICITY {analysisResults.timbre.harmonicity}</span>
+            </div>
+          )}
+          {Number.isFinite(analysisResults.loudness?.integrated) && (
+            <div className="timbre-descriptors">
+              <span className="timbre-tag">{analysisResults.loudness.integrated} LUFS</span>
+              <span className="timbre-tag">RANGE {analysisResults.loudness.loudnessRange} LU</span>
+              <span className="timbre-tag">CREST {analysisResults.loudness.crestFactor} dB</span>
+            </div>
+          )}
+          {analysisResults.inputType !== 'beatboxing' && analysisResults.intervals?.length > 0 && (
+            <div className="timbre-descriptors">
+              <span className="timbre-tag">PARSONS {analysisResults.parsons}</span>
+              <span className="timbre-tag">
+                INTERVALS {analysisResults.intervals.map(i => (i > 0 ? `+${i}` : i)).join(' ')}
+              </span>
+            </div>
+          )}
+          {analysisResults.drumPattern && (
+            <div className="drum-pattern">
+              <span className="analysis-label">BEATBOX PATTERN</span>
+              {DRUM_TYPES.map(type => (
+                <div key={type} className="drum-row">
+                  <span className="drum-row-label">{DRUM_LABELS[type]}</span>
+                  <div
+                    className="drum-steps"
+                    style={{ gridTemplateColumns: `repeat(${analysisResults.drumPattern.steps}, 1fr)` }}
+                  >
+                    {analysisResults.drumPattern.pattern[type].map((active, step) => (
+                      <span
+                        key={step}
+                        className={`drum-step ${active ? 'is-active' : ''} ${step % analysisResults.drumPattern.stepsPerBeat === 0 ? 'is-beat' : ''}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {analysisResults.vocalRange && (
+            <div className={`vocal-range ${isUncertain(analysisResults, 'range') ? 'is-uncertain' : ''}`} title={uncertaintyReason('range')}>
+              <span className="analysis-label">VOCAL RANGE</span>
+              <div className="range-strip">
+                {rangeStripKeys(analysisResults.vocalRange).map(midi => {
+                  const { lowest, highest, tessitura } = analysisResults.vocalRange
+                  const classes = ['range-key']
+                  if (BLACK_KEYS.includes(midi % 12)) classes.push('is-black')
+                  if (midi >= lowest.midi && midi <= highest.midi) classes.push('in-range')
+                  if (midi >= tessitura.low.midi && midi <= tessitura.high.midi) classes.push('in-tessitura')
+                  return (
+                    <span key={midi} className={classes.join(' ')} title={midiToNoteName(midi)}>
+                      {midi % 12 === 0 && <span className="range-key-label">{midiToNoteName(midi)}</span>}
+                    </span>
+                  )
+                })}
+              </div>
+              <div className="timbre-descriptors">
+                <span className="timbre-tag">
+                  {analysisResults.vocalRange.lowest.note}–{analysisResults.vocalRange.highest.note} ({analysisResults.vocalRange.span} ST)
+                </span>
+                <span className="timbre-tag">
+                  TESSITURA {analysisResults.vocalRange.tessitura.low.note}–{analysisResults.vocalRange.tessitura.high.note}
+                </span>
+                {analysisResults.vocalRange.voiceType && (
+                  <span className="timbre-tag">{analysisResults.vocalRange.voiceType.toUpperCase()}</span>
+                )}
+                <span className="timbre-tag">
+                  {analysisResults.vocalRange.vibrato
+                    ? `VIBRATO ${analysisResults.vocalRange.vibrato.rate} Hz ±${analysisResults.vocalRange.vibrato.depth}¢`
+                    : 'NO VIBRATO'}
+                </span>
+                <span className="timbre-tag">STABILITY {analysisResults.vocalRange.stability}</span>
+              </div>
+            </div>
+          )}
           <p className="analysis-description">{analysisText}</p>
+          {describePreprocessing(analysisResults.preprocessing) && (
+            <p className="preprocessing-summary">{describePreprocessing(analysisResults.preprocessing)}</p>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,241 @@
+import { useState, useRef, useEffect, useMemo } from 'react'
+import { waveformPeaks } from '../utils/analysisInput'
+import './AudioTrimmer.css'
+
+const OVERVIEW_COLUMNS = 160
+// How close (px) a press must land to a handle to grab it
+const HANDLE_GRAB_PX = 12
+
+function formatSeconds(seconds) {
+  const m = Math.floor(seconds / 60)
+  const s = (seconds % 60).toFixed(1).padStart(4, '0')
+  return `${m}:${s}`
+}
+
+/**
+ * Pick a window of an AudioBuffer: an overview of the whole take with the
+ * selected stretch highlighted. Drag a handle to move that edge, drag inside the
+ * window to slide it, or use the sliders; PLAY auditions just the window.
+ * Calls onConfirm({ start, end }) in seconds.
+ */
+function AudioTrimmer({ audioBuffer, title, minDuration, maxDuration, confirmLabel = 'ANALYZE', cancelLabel = 'CANCEL', onConfirm, onCancel }) {
+  const duration = audioBuffer.duration
+  const longest = Math.min(maxDuration, duration)
+  const shortest = Math.min(minDuration, longest)
+  const [start, setStart] = useState(0)
+  const [end, setEnd] = useState(longest)
+  const [playhead, setPlayhead] = useState(null)
+  const canvasRef = useRef(null)
+  const dragRef = useRef(null) // { mode: 'start' | 'end' | 'window', offset }
+  const playbackRef = useRef(null) // { context, source, frame }
+
+  const peaks = useMemo(() => waveformPeaks(audioBuffer, OVERVIEW_COLUMNS), [audioBuffer])
+
+  // Redraw the overview whenever the window or playhead moves
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const rect = canvas.getBoundingClientRect()
+    canvas.width = rect.width
+    canvas.height = rect.height
+
+    const ctx = canvas.getContext('2d')
+    const { width, height } = canvas
+    ctx.fillStyle = '#0A0A0A'
+    ctx.fillRect(0, 0, width, height)
+
+    const selectedFrom = (start / duration) * width
+    const selectedTo = (end / duration) * width
+    ctx.fillStyle = 'rgba(0, 217, 255, 0.12)'
+    ctx.fillRect(selectedFrom, 0, selectedTo - selectedFrom, height)
+
+    const columnWidth = width / peaks.length
+    peaks.forEach((peak, col) => {
+      const x = col * columnWidth
+      const barHeight = Math.max(1, peak * height * 0.9)
+      const inside = x + columnWidth > selectedFrom && x < selectedTo
+      ctx.fillStyle = inside ? '#00D9FF' : 'rgba(232, 232, 232, 0.25)'
+      ctx.fillRect(x, (height - barHeight) / 2, Math.max(1, columnWidth - 1), barHeight)
+    })
+
+    // Trim handles
+    ctx.fillStyle = '#FF006E'
+    for (const x of [selectedFrom, selectedTo]) {
+      ctx.fillRect(x - 1, 0, 3, height)
+      ctx.fillRect(x - 5, height / 2 - 10, 11, 20)
+    }
+
+    if (playhead !== null) {
+      ctx.fillStyle = '#FFFFFF'
+      ctx.fillRect((playhead / duration) * width, 0, 2, height)
+    }
+  }, [peaks, start, end, playhead, duration])
+
+  const releasePlayback = (playback) => {
+    cancelAnimationFrame(playback.frame)
+    playback.source.onended = null
+    playback.source.stop()
+    playback.context.close()
+  }
+
+  const stopPlayback = () => {
+    if (!playbackRef.current) return
+    releasePlayback(playbackRef.current)
+    playbackRef.current = null
+    setPlayhead(null)
+  }
+
+  // Stop playback on unmount
+  useEffect(() => () => {
+    if (playbackRef.current) releasePlayback(playbackRef.current)
+  }, [])
+
+  const togglePlayback = () => {
+    if (playbackRef.current) {
+      stopPlayback()
+      return
+    }
+    const context = new (window.AudioContext || window.webkitAudioContext)()
+    const source = context.createBufferSource()
+    source.buffer = audioBuffer
+    source.connect(context.destination)
+    source.onended = stopPlayback
+    const startedAt = context.currentTime
+    source.start(startedAt, start, end - start)
+
+    const playback = { context, source, frame: null }
+    const tick = () => {
+      setPlayhead(start + context.currentTime - startedAt)
+      playback.frame = requestAnimationFrame(tick)
+    }
+    playbackRef.current = playback
+    tick()
+  }
+
+  // Each edit keeps the window inside the take and within the length limits
+  const moveStart = (value) => {
+    stopPlayback()
+    setStart(Math.max(0, end - longest, Math.min(value, end - shortest)))
+  }
+
+  const moveEnd = (value) => {
+    stopPlayback()
+    setEnd(Math.min(duration, start + longest, Math.max(value, start + shortest)))
+  }
+
+  const moveWindow = (value) => {
+    stopPlayback()
+    const length = end - start
+    const nextStart = Math.max(0, Math.min(duration - length, value))
+    setStart(nextStart)
+    setEnd(nextStart + length)
+  }
+
+  const timeAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration))
+  }
+
+  // Grab the nearest handle or the window itself; a press outside centres the window there
+  const handlePointerDown = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = e.clientX - rect.left
+    const at = timeAt(e)
+    const fromStart = Math.abs(x - (start / duration) * rect.width)
+    const fromEnd = Math.abs(x - (end / duration) * rect.width)
+
+    if (fromStart <= HANDLE_GRAB_PX && fromStart <= fromEnd) {
+      dragRef.current = { mode: 'start' }
+    } else if (fromEnd <= HANDLE_GRAB_PX) {
+      dragRef.current = { mode: 'end' }
+    } else if (at > start && at < end) {
+      dragRef.current = { mode: 'window', offset: at - start }
+    } else {
+      moveWindow(at - (end - start) / 2)
+      return
+    }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    const at = timeAt(e)
+    if (drag.mode === 'start') moveStart(at)
+    else if (drag.mode === 'end') moveEnd(at)
+    else moveWindow(at - drag.offset)
+  }
+
+  const handlePointerUp = () => {
+    dragRef.current = null
+  }
+
+  const confirm = () => {
+    stopPlayback()
+    onConfirm({ start, end })
+  }
+
+  const cancel = () => {
+    stopPlayback()
+    onCancel()
+  }
+
+  return (
+    <div className="audio-trimmer">
+      {title && <p className="trimmer-title">{title}</p>}
+      <canvas
+        ref={canvasRef}
+        className="trimmer-overview"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+
+      <div className="trimmer-range">
+        <span>{formatSeconds(start)}</span>
+        <span className="trimmer-range-length">{(end - start).toFixed(1)}s</span>
+        <span>{formatSeconds(end)}</span>
+      </div>
+
+      <label className="trimmer-slider">
+        <span className="trimmer-slider-label">START</span>
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          step={0.05}
+          value={start}
+          onChange={(e) => moveStart(Number(e.target.value))}
+        />
+      </label>
+      <label className="trimmer-slider">
+        <span className="trimmer-slider-label">END</span>
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          step={0.05}
+          value={end}
+          onChange={(e) => moveEnd(Number(e.target.value))}
+        />
+      </label>
+
+      <div className="trimmer-actions">
+        <button className="trimmer-play" onClick={togglePlayback}>
+          {playhead !== null ? 'STOP' : 'PLAY'}
+        </button>
+        <button className="trimmer-confirm" onClick={confirm}>
+          {confirmLabel}
+        </button>
+        {onCancel && (
+          <button className="trimmer-cancel" onClick={cancel}>
+            {cancelLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AudioTrimmer
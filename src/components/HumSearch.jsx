@@ -0,0 +1,133 @@
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { analyzeInWorker } from '../utils/analysisClient'
+import { melodyFingerprint, MIN_QUERY_INTERVALS } from '../utils/melodyMatch'
+import { loadInputSettings } from '../utils/inputSettings'
+import { openCapture, captureErrorMessage, decodeAudioBlob } from '../utils/audioCapture'
+import './HumSearch.css'
+
+const MAX_DURATION = 10
+const MIN_DURATION = 2
+
+function HumSearch({ onFingerprint, onCancel }) {
+  const [status, setStatus] = useState('idle') // idle | recording | analyzing | error
+  const [elapsedTime, setElapsedTime] = useState(0)
+  const [errorMessage, setErrorMessage] = useState(null)
+
+  const captureRef = useRef(null)
+  const timerRef = useRef(null)
+  const startTimeRef = useRef(null)
+  const analysisAbortRef = useRef(null)
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      analysisAbortRef.current?.abort()
+      clearInterval(timerRef.current)
+      captureRef.current?.cancel()
+    }
+  }, [])
+
+  const stopRecording = useCallback(() => {
+    const elapsed = startTimeRef.current ? (Date.now() - startTimeRef.current) / 1000 : 0
+    if (elapsed < MIN_DURATION) return
+
+    clearInterval(timerRef.current)
+    captureRef.current?.stop()
+  }, [])
+
+  const handleHumComplete = async (audioBlob) => {
+    setStatus('analyzing')
+    const controller = new AbortController()
+    analysisAbortRef.current = controller
+
+    try {
+      const audioBuffer = await decodeAudioBlob(audioBlob)
+      const results = await analyzeInWorker(audioBuffer, { signal: controller.signal })
+      const fingerprint = melodyFingerprint(results)
+      if (!fingerprint || fingerprint.intervals.length < MIN_QUERY_INTERVALS) {
+        setStatus('error')
+        setErrorMessage('Not enough notes to search with. Hum a little longer, one note per syllable.')
+        return
+      }
+
+      setStatus('idle')
+      setElapsedTime(0)
+      onFingerprint(fingerprint)
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      setStatus('error')
+      setErrorMessage(`Could not read the melody: ${err.message}`)
+    } finally {
+      if (analysisAbortRef.current === controller) analysisAbortRef.current = null
+    }
+  }
+
+  const startRecording = async () => {
+    setErrorMessage(null)
+
+    try {
+      // Same microphone and processing the user picked in the recorder
+      const capture = await openCapture(loadInputSettings(), { onComplete: handleHumComplete })
+      captureRef.current = capture
+      capture.start()
+      setStatus('recording')
+      startTimeRef.current = Date.now()
+
+      setElapsedTime(0)
+      timerRef.current = setInterval(() => {
+        const elapsed = (Date.now() - startTimeRef.current) / 1000
+        setElapsedTime(Math.min(elapsed, MAX_DURATION))
+        if (elapsed >= MAX_DURATION) stopRecording()
+      }, 100)
+    } catch (err) {
+      captureRef.current?.cancel()
+      setStatus('error')
+      setErrorMessage(captureErrorMessage(err))
+    }
+  }
+
+  const cancel = () => {
+    analysisAbortRef.current?.abort()
+    onCancel?.()
+  }
+
+  return (
+    <div className="hum-search">
+      <p className="hum-search-status">
+        {status === 'idle' && 'Hum a few bars of the song you are looking for'}
+        {status === 'recording' && `Listening... ${elapsedTime.toFixed(1)} / ${MAX_DURATION}.0s`}
+        {status === 'analyzing' && 'Reading your melody...'}
+        {status === 'error' && errorMessage}
+      </p>
+
+      <div className="hum-search-controls">
+        {(status === 'idle' || status === 'error') && (
+          <button className="hum-search-btn" onClick={startRecording}>
+            {status === 'error' ? 'HUM AGAIN' : 'START HUMMING'}
+          </button>
+        )}
+        {status === 'recording' && (
+          <button
+            className="hum-search-btn is-recording"
+            onClick={stopRecording}
+            disabled={elapsedTime < MIN_DURATION}
+          >
+            STOP &amp; SEARCH
+          </button>
+        )}
+        {status === 'analyzing' && (
+          <div className="hum-search-progress">
+            <div className="hum-search-progress-bar" />
+          </div>
+        )}
+        {status !== 'recording' && (
+          <button className="hum-search-cancel" onClick={cancel}>
+            CANCEL
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default HumSearch
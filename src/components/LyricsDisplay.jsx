@@ -1,7 +1,7 @@
 import { useState, useEffect, useMemo, useRef } from 'react'
 import './LyricsDisplay.css'
 
-function LyricsDisplay({ lyrics, isPlaying, audioRef }) {
+function LyricsDisplay({ lyrics, chordProgression, isPlaying, audioRef }) {
   const [visibleLines, setVisibleLines] = useState(0)
   const [currentLineIndex, setCurrentLineIndex] = useState(-1)
   const lyricsContainerRef = useRef(null)
@@ -82,6 +82,27 @@ function LyricsDisplay({ lyrics, isPlaying, audioRef }) {
 
   return (
     <div className="lyrics-display">
+      {chordProgression && (
+        <div className="chord-sheet">
+          <div className="chord-sheet-header">
+            <h3 className="lyrics-title">CHORDS</h3>
+            <span className="chord-sheet-key">{chordProgression.key}</span>
+          </div>
+          <div className="chord-bars">
+            {chordProgression.chords.map(chord => (
+              <div key={chord.bar} className="chord-bar">
+                <span className="chord-symbol">{chord.symbol}</span>
+                <span className="chord-roman">{chord.roman}</span>
+              </div>
+            ))}
+          </div>
+          {chordProgression.alternatives.length > 0 && (
+            <p className="chord-alternatives">
+              TRY ALSO: {chordProgression.alternatives.map(alt => `${alt.symbols} (${alt.name})`).join(' · ')}
+            </p>
+          )}
+        </div>
+      )}
       <h3 className="lyrics-title">LYRICS</h3>
       <div className="lyrics-scroll" ref={lyricsContainerRef}>
         {lines.map((line, index) => {
@@ -1,10 +1,14 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react'
+import { shortTermLoudnessAt } from '../utils/loudness'
+import { decodeAudioBlob } from '../utils/audioCapture'
+import { measureLoudnessInWorker } from '../utils/analysisClient'
 import './MusicPlayer.css'
 
 function MusicPlayer({ audioBlob, title, onPlayStateChange, onAudioRef }) {
   const [isPlaying, setIsPlaying] = useState(false)
   const [currentTime, setCurrentTime] = useState(0)
   const [duration, setDuration] = useState(0)
+  const [metered, setMetered] = useState(null) // { blob, loudness }
 
   const audioRef = useRef(null)
   const canvasRef = useRef(null)
@@ -34,6 +38,26 @@ function MusicPlayer({ audioBlob, title, onPlayStateChange, onAudioRef }) {
     }
   }, [audioUrl])
 
+  // Meter the song's loudness and dynamics once per blob, off the main thread
+  useEffect(() => {
+    if (!audioBlob) return
+    const controller = new AbortController()
+
+    const meter = async () => {
+      try {
+        const audioBuffer = await decodeAudioBlob(audioBlob)
+        if (controller.signal.aborted) return
+        const loudness = await measureLoudnessInWorker(audioBuffer, { signal: controller.signal })
+        setMetered({ blob: audioBlob, loudness })
+      } catch (e) {
+        if (e.name !== 'AbortError') console.warn('Could not meter song loudness:', e.message)
+      }
+    }
+
+    meter()
+    return () => controller.abort()
+  }, [audioBlob])
+
   // Set up Web Audio API analyser when audio element is ready
   const connectAnalyser = useCallback(() => {
     if (sourceRef.current || !audioRef.current) return
@@ -189,7 +213,12 @@ function MusicPlayer({ audioBlob, title, onPlayStateChange, onAudioRef }) {
     return `${m}:${s.toString().padStart(2, '0')}`
   }
 
+  const formatLevel = (value, unit) => (value === null || value === undefined ? '—' : `${value.toFixed(1)} ${unit}`)
+
   const progress = duration > 0 ? (currentTime / duration) * 100 : 0
+  // Readings for a previous song are stale until the new one is metered
+  const loudness = metered?.blob === audioBlob ? metered.loudness : null
+  const shortTerm = loudness ? shortTermLoudnessAt(loudness, currentTime * 1000) : null
 
   return (
     <div className="music-player">
@@ -243,6 +272,32 @@ function MusicPlayer({ audioBlob, title, onPlayStateChange, onAudioRef }) {
           SAVE
         </button>
       </div>
+
+      {/* Loudness and dynamics */}
+      {loudness && (
+        <div className="player-meters">
+          <div className="player-meter">
+            <span className="player-meter-label">INTEGRATED</span>
+            <span className="player-meter-value">{formatLevel(loudness.integrated, 'LUFS')}</span>
+          </div>
+          <div className="player-meter">
+            <span className="player-meter-label">SHORT-TERM</span>
+            <span className="player-meter-value is-live">{formatLevel(shortTerm, 'LUFS')}</span>
+          </div>
+          <div className="player-meter">
+            <span className="player-meter-label">RANGE</span>
+            <span className="player-meter-value">{formatLevel(loudness.loudnessRange, 'LU')}</span>
+          </div>
+          <div className="player-meter">
+            <span className="player-meter-label">CREST</span>
+            <span className="player-meter-value">{formatLevel(loudness.crestFactor, 'dB')}</span>
+          </div>
+          <div className="player-meter">
+            <span className="player-meter-label">PEAK</span>
+            <span className="player-meter-value">{formatLevel(loudness.peak, 'dBFS')}</span>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
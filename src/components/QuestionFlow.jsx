@@ -40,6 +40,8 @@ function QuestionFlow({ isOpen, onClose, onComplete }) {
     recording: null
   })
   const [direction, setDirection] = useState(1) // 1 for forward, -1 for backward
+  // Kept here so the takes survive stepping away from the record step
+  const [takes, setTakes] = useState([])
 
   const currentQuestion = questions[currentStep]
 
@@ -192,7 +194,12 @@ function QuestionFlow({ isOpen, onClose, onComplete }) {
                   {/* Render different question types */}
                   {currentQuestion.type === 'recorder' && (
                     <div className="question-recorder">
-                      <AudioRecorder onRecordingComplete={handleRecordingComplete} />
+                      <AudioRecorder
+                        onRecordingComplete={handleRecordingComplete}
+                        initialTakes={takes}
+                        initialChosenNumber={answers.recording?.takeNumber ?? null}
+                        onTakesChange={setTakes}
+                      />
                     </div>
                   )}
 
@@ -264,7 +271,7 @@ function QuestionFlow({ isOpen, onClose, onComplete }) {
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                 >
-                  NEXT
+                  {takes.length > 1 ? `NEXT WITH TAKE ${answers.recording.takeNumber}` : 'NEXT'}
                 </motion.button>
               )}
             </div>
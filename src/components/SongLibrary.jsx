@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef } from 'react'
-import { getAllSongs, searchSongs, initializeDemoSongs, isMongoConfigured } from '../services/mongoService'
+import { getAllSongs, searchSongs, searchSongsByMelody, initializeDemoSongs, isMongoConfigured } from '../services/mongoService'
+import { rankSongsByMelody } from '../utils/melodyMatch'
 import DEMO_SONGS from '../data/demoSongs'
+import HumSearch from './HumSearch'
 import './SongLibrary.css'
 
 function SongLibrary() {
@@ -10,6 +12,8 @@ function SongLibrary() {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
   const [hasSearched, setHasSearched] = useState(false)
+  const [isHumming, setIsHumming] = useState(false)
+  const [humQuery, setHumQuery] = useState(null) // melody fingerprint of the last hum
   const searchTimeoutRef = useRef(null)
 
   // Load songs on mount
@@ -45,6 +49,7 @@ function SongLibrary() {
   function handleSearchInput(e) {
     const query = e.target.value
     setSearchQuery(query)
+    setHumQuery(null)
 
     // Debounce search
     if (searchTimeoutRef.current) {
@@ -93,6 +98,35 @@ function SongLibrary() {
     }
   }
 
+  async function performHumSearch(fingerprint) {
+    setIsHumming(false)
+    setHumQuery(fingerprint)
+    setSearchQuery('')
+    if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current)
+
+    if (!isMongoConfigured()) {
+      // Local fallback: rank the demo songs' melodies
+      setSongs(rankSongsByMelody(fingerprint, DEMO_SONGS.map((song, i) => ({ ...song, _id: `demo-${i}` }))))
+      setHasSearched(true)
+      return
+    }
+
+    setIsSearching(true)
+    setError(null)
+    try {
+      const results = await searchSongsByMelody(fingerprint)
+      setSongs(results)
+      setHasSearched(true)
+    } catch (err) {
+      console.error('Melody search failed:', err)
+      setError('Melody search failed — showing all songs')
+      setHumQuery(null)
+      loadSongs()
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
   function handleKeyDown(e) {
     if (e.key === 'Enter') {
       e.preventDefault()
@@ -131,6 +165,12 @@ function SongLibrary() {
           onChange={handleSearchInput}
           onKeyDown={handleKeyDown}
         />
+        <button
+          className={`library-hum-btn${isHumming ? ' is-active' : ''}`}
+          onClick={() => setIsHumming(!isHumming)}
+        >
+          HUM TO SEARCH
+        </button>
         {isSearching && (
           <div className="search-indicator">
             <div className="search-indicator-bar" />
@@ -138,6 +178,11 @@ function SongLibrary() {
         )}
       </div>
 
+      {/* Query by humming */}
+      {isHumming && (
+        <HumSearch onFingerprint={performHumSearch} onCancel={() => setIsHumming(false)} />
+      )}
+
       {/* Error */}
       {error && (
         <div className="library-error">{error}</div>
@@ -159,7 +204,9 @@ function SongLibrary() {
       {!isLoading && hasSearched && (
         <div className="library-results-info">
           <span className="results-count">{songs.length}</span> RESULTS FOR
-          <span className="results-query"> "{searchQuery}"</span>
+          {humQuery
+            ? <span className="results-query"> YOUR HUM {humQuery.parsons}</span>
+            : <span className="results-query"> "{searchQuery}"</span>}
         </div>
       )}
 
@@ -0,0 +1,166 @@
+import { useState, useRef, useEffect } from 'react'
+import { isUncertain } from '../utils/audioAnalysis'
+import './TakeList.css'
+
+// Rows of the side-by-side comparison: label, confidence feature, value
+const COMPARE_ROWS = [
+  { label: 'TEMPO', feature: 'tempo', value: (r) => `${r.tempo} BPM` },
+  { label: 'METER', feature: 'meter', value: (r) => r.meter },
+  { label: 'KEY', feature: 'key', value: (r) => r.key },
+  { label: 'ENERGY', feature: 'energy', value: (r) => r.energyLevel },
+  { label: 'RHYTHM', feature: 'rhythm', value: (r) => r.rhythm },
+  { label: 'MELODY', feature: 'contour', value: (r) => r.contour },
+  { label: 'PARSONS', feature: 'contour', value: (r) => r.parsons || '—' },
+  { label: 'NOTES', feature: null, value: (r) => r.notes?.length ?? 0 },
+  { label: 'INPUT', feature: 'inputType', value: (r) => r.inputType },
+]
+
+/**
+ * The takes recorded in this session, each with a mini waveform, playback and
+ * its headline analysis. One take is chosen for generation; ticking two takes
+ * compares their analyses side by side.
+ */
+function TakeList({ takes, chosenNumber, onChoose, onDelete }) {
+  const [playingNumber, setPlayingNumber] = useState(null)
+  const [compareNumbers, setCompareNumbers] = useState([])
+  const audiosRef = useRef([])
+  const startTimeoutsRef = useRef([])
+
+  const releaseAudios = () => {
+    startTimeoutsRef.current.forEach(clearTimeout)
+    startTimeoutsRef.current = []
+    audiosRef.current.forEach(audio => {
+      audio.pause()
+      URL.revokeObjectURL(audio.src)
+    })
+    audiosRef.current = []
+  }
+
+  const stopPlayback = () => {
+    releaseAudios()
+    setPlayingNumber(null)
+  }
+
+  // Stop playback on unmount
+  useEffect(() => releaseAudios, [])
+
+  // A layered take plays its parts together, each starting where it lines up with the other
+  const togglePlayback = (take) => {
+    const wasPlaying = playingNumber === take.number
+    stopPlayback()
+    if (wasPlaying) return
+
+    const sources = take.parts
+      ? [take.parts.melody, take.parts.rhythm].map(part => ({ blob: part.audioBlob, originMs: part.originMs ?? 0 }))
+      : [{ blob: take.audioBlob, originMs: 0 }]
+    const firstMs = Math.min(...sources.map(source => source.originMs))
+    const audios = sources.map(source => new Audio(URL.createObjectURL(source.blob)))
+    audios.forEach(audio => {
+      audio.onended = () => {
+        if (audios.every(a => a.ended)) stopPlayback()
+      }
+    })
+    audiosRef.current = audios
+    setPlayingNumber(take.number)
+
+    // A failed start stops this take, unless another has been started since
+    const play = (audio) => audio.play().catch(() => {
+      if (audiosRef.current === audios) stopPlayback()
+    })
+    sources.forEach((source, i) => {
+      const delayMs = source.originMs - firstMs
+      if (delayMs > 0) startTimeoutsRef.current.push(setTimeout(() => play(audios[i]), delayMs))
+      else play(audios[i])
+    })
+  }
+
+  // Ticking a third take replaces the older of the two being compared
+  const toggleCompare = (number) => {
+    setCompareNumbers(prev => (
+      prev.includes(number) ? prev.filter(n => n !== number) : [...prev, number].slice(-2)
+    ))
+  }
+
+  const handleDelete = (take) => {
+    if (playingNumber === take.number) stopPlayback()
+    setCompareNumbers(prev => prev.filter(n => n !== take.number))
+    onDelete(take)
+  }
+
+  const compared = compareNumbers
+    .map(number => takes.find(t => t.number === number))
+    .filter(Boolean)
+
+  return (
+    <div className="take-list">
+      <span className="analysis-label">TAKES</span>
+      <ul className="take-items">
+        {takes.map(take => (
+          <li key={take.number} className={`take-item ${take.number === chosenNumber ? 'is-chosen' : ''}`}>
+            <button
+              className="take-play"
+              onClick={() => togglePlayback(take)}
+              aria-label={`${playingNumber === take.number ? 'Stop' : 'Play'} take ${take.number}`}
+            >
+              {playingNumber === take.number ? '■' : '▶'}
+            </button>
+            <button className="take-choose" onClick={() => onChoose(take)}>
+              <span className="take-name">
+                TAKE {take.number}
+                {take.layeredOn && <span className="take-layered">OVER {take.layeredOn}</span>}
+              </span>
+              <span className="take-waveform" aria-hidden="true">
+                {Array.from(take.peaks, (peak, col) => (
+                  <span key={col} className="take-waveform-bar" style={{ height: `${Math.max(4, peak * 100)}%` }} />
+                ))}
+              </span>
+              <span className="take-summary">
+                {take.analysisResults.tempo} BPM · {take.analysisResults.key} · {take.duration.toFixed(1)}s
+              </span>
+            </button>
+            <label className="take-compare-toggle" title="Compare">
+              <input
+                type="checkbox"
+                checked={compareNumbers.includes(take.number)}
+                onChange={() => toggleCompare(take.number)}
+              />
+              VS
+            </label>
+            <button className="take-delete" onClick={() => handleDelete(take)} aria-label={`Delete take ${take.number}`}>
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {compared.length === 2 && (
+        <div className="take-compare">
+          <span />
+          {compared.map(take => (
+            <span key={take.number} className="take-compare-heading">
+              TAKE {take.number}
+              {take.number !== chosenNumber && (
+                <button className="take-compare-choose" onClick={() => onChoose(take)}>USE</button>
+              )}
+            </span>
+          ))}
+          {COMPARE_ROWS.map(row => (
+            <div key={row.label} className="take-compare-row">
+              <span className="take-compare-label">{row.label}</span>
+              {compared.map(take => (
+                <span
+                  key={take.number}
+                  className={`take-compare-value ${row.feature && isUncertain(take.analysisResults, row.feature) ? 'is-uncertain' : ''}`}
+                >
+                  {row.value(take.analysisResults)}
+                </span>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TakeList
@@ -1,4 +1,6 @@
 import axios from 'axios'
+import { isUncertain } from '../utils/audioAnalysis'
+import { suggestChordProgression, describeChordProgression } from '../utils/harmony'
 
 // ─── Feature Flags ───
 
@@ -121,12 +123,42 @@ function createMockAudioBlob(durationSeconds) {
   return new Blob([buffer], { type: 'audio/wav' })
 }
 
+// ─── Vocal Range Prompt Helpers ───
+
+// A narrow hummed span suggests the singer is most at ease with compact phrases
+const NARROW_RANGE_SEMITONES = 7
+
+function getVocalRange(analysisResults) {
+  const vocalRange = analysisResults?.vocalRange
+  if (!vocalRange?.voiceType) return null
+  if (isUncertain(analysisResults, 'range')) return null
+  return vocalRange
+}
+
+function getLyricsRangeGuidance(analysisResults) {
+  const vocalRange = getVocalRange(analysisResults)
+  if (!vocalRange) return ''
+  const { voiceType, lowest, highest, span } = vocalRange
+  const phrasing = span <= NARROW_RANGE_SEMITONES
+    ? 'Keep phrases short and speech-like, without big held notes.'
+    : 'Leave room for a held word or two at the peak of each chorus line.'
+  return `\n\nThe singer has a ${voiceType} voice and hummed between ${lowest.note} and ${highest.note}. Write lyrics they can sing along to in that register. ${phrasing}`
+}
+
+function getVocalStyle(analysisResults) {
+  const vocalRange = getVocalRange(analysisResults)
+  if (!vocalRange) return ''
+  const { voiceType, tessitura } = vocalRange
+  return `${voiceType} lead vocal sitting around ${tessitura.low.note}–${tessitura.high.note}`
+}
+
 // ─── API Functions ───
 
 /**
  * Generate lyrics using Claude via OpenRouter.
+ * When analysis results carry a vocal range, the lyrics are pitched at that register.
  */
-export async function generateLyrics(theme, genre) {
+export async function generateLyrics(theme, genre, analysisResults) {
   const apiKey = getOpenRouterKey()
   if (!apiKey) throw new Error('OpenRouter API key not configured. Add VITE_OPENROUTER_API_KEY to your .env file.')
 
@@ -140,7 +172,7 @@ export async function generateLyrics(theme, genre) {
         },
         {
           role: 'user',
-          content: `Write ${genre} song lyrics about: ${theme}`,
+          content: `Write ${genre} song lyrics about: ${theme}${getLyricsRangeGuidance(analysisResults)}`,
         },
       ],
     }, {
@@ -162,11 +194,36 @@ export async function generateLyrics(theme, genre) {
   })
 }
 
+// ─── Meter Prompt Helpers ───
+
+const METER_STYLES = {
+  '3/4': 'in 3/4 waltz time',
+  '6/8': 'in a lilting 6/8 feel',
+}
+
+function getMeterStyle(analysisResults) {
+  const meter = analysisResults?.meter
+  if (!meter || !METER_STYLES[meter]) return ''
+  if (isUncertain(analysisResults, 'meter')) return ''
+  return METER_STYLES[meter]
+}
+
+// ─── Harmony Prompt Helpers ───
+
+/**
+ * Chord progression for a recording in the genre's harmonic style.
+ * Returns null when the key is too uncertain to build chords on.
+ */
+export function getChordProgression(analysisResults, genre) {
+  if (isUncertain(analysisResults, 'key')) return null
+  return suggestChordProgression(analysisResults, genre)
+}
+
 /**
  * Generate a complete song using ElevenLabs Music API.
  * In demo mode, returns a mock audio blob instead.
  */
-export async function generateMusic(analysisText, lyrics, genre) {
+export async function generateMusic(analysisText, lyrics, genre, analysisResults, chordProgression = getChordProgression(analysisResults, genre)) {
   if (DEMO_MODE) {
     console.log('[DEMO MODE] Skipping ElevenLabs — returning mock audio')
     // Small delay to simulate API latency
@@ -177,7 +234,13 @@ export async function generateMusic(analysisText, lyrics, genre) {
   const apiKey = getElevenLabsKey()
   if (!apiKey) throw new Error('ElevenLabs API key not configured. Add VITE_ELEVENLABS_API_KEY to your .env file.')
 
-  const genreStyle = GENRE_PROMPTS[genre] || genre.toLowerCase()
+  const baseStyle = GENRE_PROMPTS[genre] || genre.toLowerCase()
+  const genreStyle = [
+    baseStyle,
+    getMeterStyle(analysisResults),
+    getVocalStyle(analysisResults),
+    describeChordProgression(chordProgression),
+  ].filter(Boolean).join(', ')
   const prompt = `${genreStyle}. ${analysisText}. Lyrics: ${lyrics}`
 
   return retryWithBackoff(async () => {
@@ -382,11 +445,12 @@ export async function generateCompleteSong(recordingData, genre, theme, onProgre
   let lyrics = null
   let audioBlob = null
   let artworkUrl = null
+  const chordProgression = getChordProgression(recordingData.analysisResults, genre)
 
   // Step 1: Generate lyrics
   onProgress('GENERATING_LYRICS')
   try {
-    lyrics = await generateLyrics(theme, genre)
+    lyrics = await generateLyrics(theme, genre, recordingData.analysisResults)
   } catch (err) {
     console.error('Lyrics generation failed:', err)
     throw new Error(`Failed to generate lyrics: ${err.message}`)
@@ -397,7 +461,7 @@ export async function generateCompleteSong(recordingData, genre, theme, onProgre
   let imagePrompt = null
   try {
     const [musicResult, promptResult] = await Promise.allSettled([
-      generateMusic(recordingData.analysisText, lyrics, genre),
+      generateMusic(recordingData.analysisText, lyrics, genre, recordingData.analysisResults, chordProgression),
       generateImagePrompt(lyrics, genre, recordingData.analysisResults, theme),
     ])
 
@@ -429,5 +493,5 @@ export async function generateCompleteSong(recordingData, genre, theme, onProgre
 
   onProgress('COMPLETE')
 
-  return { lyrics, audioBlob, artworkUrl, errors }
+  return { lyrics, audioBlob, artworkUrl, chordProgression, errors }
 }
@@ -1,4 +1,5 @@
 import { generateEmbedding } from './apiService'
+import { melodyFingerprint, rankSongsByMelody } from '../utils/melodyMatch'
 
 // ─── MongoDB Atlas Data API Config ───
 
@@ -87,6 +88,7 @@ export async function saveSongToMongo(songData) {
     lyrics,
     artworkUrl: artworkUrl || null,
     audioAnalysis: audioAnalysis || {},
+    melodyFingerprint: melodyFingerprint(audioAnalysis),
     embedding,
     createdAt: new Date().toISOString(),
     isDemo: false,
@@ -133,6 +135,20 @@ export async function searchSongs(query) {
   return scored.slice(0, 8)
 }
 
+/**
+ * Search songs by melody: ranks songs by how well their stored melody
+ * fingerprint matches a hummed one.
+ */
+export async function searchSongsByMelody(fingerprint) {
+  const result = await mongoRequest('find', {
+    filter: {},
+    projection: { embedding: 0 },
+    limit: 200,
+  })
+
+  return rankSongsByMelody(fingerprint, result.documents || [])
+}
+
 /**
  * Initialize demo songs in MongoDB (only if collection is empty).
  */
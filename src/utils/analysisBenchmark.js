@@ -0,0 +1,366 @@
+/**
+ * Accuracy benchmark for the audio analysis detectors.
+ * Synthesises signals with known answers (click tracks, swung grooves, melodies in
+ * every key, pitch glides) and scores detectTempo, detectMeter, detectPitch and
+ * detectContour against them. Signals are seeded, so runs are reproducible and
+ * reports from before and after a change can be compared directly.
+ */
+
+import { createAnalysisBuffer, ANALYSIS_SAMPLE_RATE } from './analysisInput.js'
+import { computeOnsetStrength, detectTempo, detectMeter, detectPitch, detectContour } from './audioAnalysis.js'
+import { midiToFrequency } from './melodyTranscription.js'
+import { NOTE_NAMES, percentile } from './common.js'
+
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11]
+// Harmonic minor: the raised 7th is what tells a minor melody from its relative major
+const MINOR_SCALE = [0, 2, 3, 5, 7, 8, 11]
+// Scale degrees (0-based) of the test melody: outlines the tonic triad, cadences on the tonic
+const KEY_MELODY_DEGREES = [0, 2, 4, 2, 3, 1, 6, 0, 4, 5, 4, 3, 2, 1, 0, 4, 0]
+
+const TEMPO_CASES = [70, 85, 100, 120, 135, 150, 170, 190]
+const SWING_CASES = [90, 110, 130]
+// Offbeat eighths land at 2/3 of the beat in a triplet swing
+const SWING_RATIO = 2 / 3
+// Detected tempos within this fraction of the truth count as correct (MIREX convention)
+const TEMPO_TOLERANCE = 0.04
+const TEMPO_ERROR_BUCKETS = [1, 2, 5, 10]
+
+const METER_CASES = [
+  { meter: '4/4', beatsPerBar: 4, bpm: 100 },
+  { meter: '4/4', beatsPerBar: 4, bpm: 128 },
+  { meter: '3/4', beatsPerBar: 3, bpm: 90 },
+  { meter: '3/4', beatsPerBar: 3, bpm: 120 },
+  { meter: '6/8', beatsPerBar: 6, bpm: 180, compound: true },
+]
+
+const CONTOUR_CASES = [
+  { name: 'rising fifth', expected: 'ascending', shape: 'sweep', from: 55, to: 62 },
+  { name: 'rising octave', expected: 'ascending', shape: 'sweep', from: 52, to: 64 },
+  { name: 'falling fifth', expected: 'descending', shape: 'sweep', from: 67, to: 60 },
+  { name: 'falling octave', expected: 'descending', shape: 'sweep', from: 64, to: 52 },
+  { name: 'wave', expected: 'oscillating', shape: 'wave', from: 57, to: 64 },
+  { name: 'fast wave', expected: 'oscillating', shape: 'wave', from: 60, to: 65, cycles: 4 },
+  { name: 'rising steps', expected: 'ascending', notes: [57, 59, 60, 62, 64, 65] },
+  { name: 'falling steps', expected: 'descending', notes: [69, 67, 65, 64, 62, 60] },
+  { name: 'zig-zag steps', expected: 'oscillating', notes: [60, 67, 62, 69, 60, 65] },
+]
+
+const SIGNAL_SECONDS = { tempo: 8, meter: 8, key: 6, contour: 4 }
+const NOISE_LEVEL = 0.01
+
+/**
+ * Small seeded PRNG (mulberry32) so the noise in every signal is repeatable.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function toBuffer(data, sampleRate, seed) {
+  const random = createRandom(seed)
+  for (let i = 0; i < data.length; i++) data[i] += (random() * 2 - 1) * NOISE_LEVEL
+  return createAnalysisBuffer([data], sampleRate)
+}
+
+/**
+ * A click track: a short pitched, noisy tick on every beat, louder on downbeats.
+ * `swing` adds a quieter offbeat eighth at that fraction of the beat.
+ */
+export function synthesizeClickTrack({ bpm, beatsPerBar = 4, swing = null, compound = false, seconds = SIGNAL_SECONDS.tempo, sampleRate = ANALYSIS_SAMPLE_RATE, seed = 1 }) {
+  const data = new Float32Array(Math.round(seconds * sampleRate))
+  const random = createRandom(seed + 1)
+  const beatSamples = (60 / bpm) * sampleRate
+  const clickSamples = Math.round(sampleRate * 0.03)
+
+  const addClick = (at, amplitude) => {
+    const start = Math.round(at)
+    for (let i = 0; i < clickSamples && start + i < data.length; i++) {
+      const t = i / sampleRate
+      const envelope = Math.exp(-t * 120)
+      data[start + i] += amplitude * envelope * (0.6 * Math.sin(2 * Math.PI * 1200 * t) + 0.4 * (random() * 2 - 1))
+    }
+  }
+
+  for (let beat = 0; beat * beatSamples < data.length; beat++) {
+    const position = beat % beatsPerBar
+    // Compound time accents the start of each dotted-quarter group as well as the bar
+    let amplitude = 0.35
+    if (position === 0) amplitude = 0.9
+    else if (compound && position % 3 === 0) amplitude = 0.6
+    addClick(beat * beatSamples, amplitude)
+    if (swing) addClick((beat + swing) * beatSamples, 0.2)
+  }
+
+  return toBuffer(data, sampleRate, seed)
+}
+
+/**
+ * A note sequence played with a soft harmonic tone (fundamental plus two overtones).
+ */
+export function synthesizeMelody({ notes, noteSeconds, seconds, sampleRate = ANALYSIS_SAMPLE_RATE, seed = 1 }) {
+  const length = Math.round(seconds * sampleRate)
+  const data = new Float32Array(length)
+  const noteSamples = noteSeconds * sampleRate
+  const fade = Math.round(sampleRate * 0.02)
+
+  for (let i = 0; i < length; i++) {
+    const index = Math.floor(i / noteSamples)
+    const local = i - index * noteSamples
+    const envelope = Math.min(1, local / fade, (noteSamples - local) / fade)
+    const frequency = midiToFrequency(notes[index % notes.length])
+    const phase = 2 * Math.PI * frequency * (i / sampleRate)
+    data[i] = 0.3 * envelope * (Math.sin(phase) + 0.4 * Math.sin(2 * phase) + 0.2 * Math.sin(3 * phase))
+  }
+
+  return toBuffer(data, sampleRate, seed)
+}
+
+/**
+ * A continuous pitch glide between two MIDI pitches.
+ * 'sweep' goes once from `from` to `to`; 'wave' goes back and forth `cycles` times.
+ */
+export function synthesizeGlide({ from, to, shape, cycles = 2, seconds = SIGNAL_SECONDS.contour, sampleRate = ANALYSIS_SAMPLE_RATE, seed = 1 }) {
+  const length = Math.round(seconds * sampleRate)
+  const data = new Float32Array(length)
+  let phase = 0
+
+  for (let i = 0; i < length; i++) {
+    const progress = i / length
+    let position = progress
+    if (shape === 'wave') position = 0.5 - 0.5 * Math.cos(2 * Math.PI * cycles * progress)
+    const frequency = midiToFrequency(from + (to - from) * position)
+    phase += (2 * Math.PI * frequency) / sampleRate
+    data[i] = 0.3 * (Math.sin(phase) + 0.4 * Math.sin(2 * phase) + 0.2 * Math.sin(3 * phase))
+  }
+
+  return toBuffer(data, sampleRate, seed)
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places
+  return Math.round(value * factor) / factor
+}
+
+function withinTolerance(detected, expected) {
+  return Math.abs(detected - expected) <= expected * TEMPO_TOLERANCE
+}
+
+/**
+ * Tempo suite: straight click tracks across the tempo range plus swung grooves.
+ * Reports the BPM error distribution and MIREX-style accuracies: ACC1 (within 4%)
+ * and ACC2 (within 4% of the tempo or its half, double, third or triple).
+ */
+export function benchmarkTempo() {
+  const cases = [
+    ...TEMPO_CASES.map(bpm => ({ name: `click ${bpm} BPM`, bpm })),
+    ...SWING_CASES.map(bpm => ({ name: `swung ${bpm} BPM`, bpm, swing: SWING_RATIO })),
+  ].map((testCase, index) => {
+    const { bpm: detected, confidence } = detectTempo(synthesizeClickTrack({ ...testCase, seed: 100 + index }))
+    const expected = testCase.bpm
+    const octave = [0.5, 2, 1 / 3, 3].find(factor => withinTolerance(detected, expected * factor)) || null
+    return {
+      name: testCase.name,
+      expected,
+      detected,
+      confidence,
+      errorBpm: detected - expected,
+      correct: withinTolerance(detected, expected),
+      octaveFactor: octave,
+    }
+  })
+
+  const errors = cases.map(c => Math.abs(c.errorBpm))
+  const histogram = {}
+  let lower = 0
+  for (const upper of TEMPO_ERROR_BUCKETS) {
+    histogram[`${lower}-${upper}`] = errors.filter(e => e >= lower && e < upper).length
+    lower = upper
+  }
+  histogram[`${lower}+`] = errors.filter(e => e >= lower).length
+
+  return {
+    cases,
+    accuracy1: round(cases.filter(c => c.correct).length / cases.length),
+    accuracy2: round(cases.filter(c => c.correct || c.octaveFactor).length / cases.length),
+    meanAbsErrorBpm: round(errors.reduce((a, b) => a + b, 0) / errors.length, 1),
+    medianAbsErrorBpm: percentile(errors, 0.5),
+    p90AbsErrorBpm: percentile(errors, 0.9),
+    errorHistogram: histogram,
+  }
+}
+
+/**
+ * Meter suite: accented click tracks in 4/4, 3/4 and 6/8. A case is correct when
+ * the meter matches and the tempo, restated in the meter's beat unit (eighth
+ * notes in 6/8), is within tolerance of the click's.
+ */
+export function benchmarkMeter() {
+  const cases = METER_CASES.map((testCase, index) => {
+    const audioBuffer = synthesizeClickTrack({ ...testCase, seconds: SIGNAL_SECONDS.meter, seed: 200 + index })
+    const onsetStrength = computeOnsetStrength(audioBuffer)
+    const tempo = detectTempo(audioBuffer, onsetStrength)
+    const { meter, beatScale, confidence } = detectMeter(audioBuffer, onsetStrength, tempo.beats, tempo.bpm)
+    const bpm = Math.round(tempo.bpm * beatScale)
+    return {
+      name: `${testCase.meter} at ${testCase.bpm} BPM`,
+      expected: testCase.meter,
+      detected: meter,
+      detectedBpm: bpm,
+      confidence,
+      correct: meter === testCase.meter && withinTolerance(bpm, testCase.bpm),
+    }
+  })
+
+  return {
+    cases,
+    accuracy: round(cases.filter(c => c.correct).length / cases.length),
+  }
+}
+
+/**
+ * How a detected key relates to the true one: correct, fifth (either direction),
+ * relative major/minor, parallel major/minor, or other.
+ */
+function keyRelation(detected, expected) {
+  if (detected.tonic === expected.tonic && detected.mode === expected.mode) return 'correct'
+  const interval = (NOTE_NAMES.indexOf(detected.tonic) - NOTE_NAMES.indexOf(expected.tonic) + 12) % 12
+  if (detected.mode === expected.mode && (interval === 7 || interval === 5)) return 'fifth'
+  if (detected.mode !== expected.mode) {
+    if (expected.mode === 'major' && interval === 9) return 'relative'
+    if (expected.mode === 'minor' && interval === 3) return 'relative'
+    if (interval === 0) return 'parallel'
+  }
+  return 'other'
+}
+
+// MIREX key-detection weights
+const KEY_RELATION_SCORES = { correct: 1, fifth: 0.5, relative: 0.3, parallel: 0.2, other: 0 }
+
+/**
+ * Key suite: the same scale-degree melody in all 24 major and minor keys.
+ * Reports the exact hit rate, the MIREX weighted score and the error breakdown.
+ */
+export function benchmarkKey() {
+  const cases = []
+  for (const mode of ['major', 'minor']) {
+    const scale = mode === 'major' ? MAJOR_SCALE : MINOR_SCALE
+    NOTE_NAMES.forEach((tonic, pitchClass) => {
+      // Keep tonics between A2 and G#3 so every key sits in a hummable register
+      const root = 45 + ((pitchClass - 9 + 12) % 12)
+      const notes = KEY_MELODY_DEGREES.map(degree => root + 12 + scale[degree])
+      const audioBuffer = synthesizeMelody({
+        notes,
+        noteSeconds: SIGNAL_SECONDS.key / notes.length,
+        seconds: SIGNAL_SECONDS.key,
+        seed: 300 + cases.length,
+      })
+      const result = detectPitch(audioBuffer)
+      const relation = keyRelation(result, { tonic, mode })
+      cases.push({
+        name: `${tonic} ${mode}`,
+        expected: `${tonic} ${mode}`,
+        detected: result.key,
+        confidence: result.keyConfidence,
+        relation,
+      })
+    })
+  }
+
+  const relations = Object.fromEntries(Object.keys(KEY_RELATION_SCORES).map(r => [r, 0]))
+  for (const c of cases) relations[c.relation]++
+
+  return {
+    cases,
+    hitRate: round(relations.correct / cases.length),
+    mirexScore: round(cases.reduce((sum, c) => sum + KEY_RELATION_SCORES[c.relation], 0) / cases.length),
+    relations,
+  }
+}
+
+/**
+ * Contour suite: continuous glides and stepped note sequences with a clear direction.
+ */
+export function benchmarkContour() {
+  const cases = CONTOUR_CASES.map((testCase, index) => {
+    const seed = 400 + index
+    const audioBuffer = testCase.notes
+      ? synthesizeMelody({
+        notes: testCase.notes,
+        noteSeconds: SIGNAL_SECONDS.contour / testCase.notes.length,
+        seconds: SIGNAL_SECONDS.contour,
+        seed,
+      })
+      : synthesizeGlide({ ...testCase, seed })
+    const detected = detectContour(audioBuffer).label
+    return { name: testCase.name, expected: testCase.expected, detected, correct: detected === testCase.expected }
+  })
+
+  const confusion = {}
+  for (const c of cases) {
+    confusion[c.expected] = confusion[c.expected] || {}
+    confusion[c.expected][c.detected] = (confusion[c.expected][c.detected] || 0) + 1
+  }
+
+  return {
+    cases,
+    accuracy: round(cases.filter(c => c.correct).length / cases.length),
+    confusion,
+  }
+}
+
+export const BENCHMARK_SUITES = {
+  tempo: benchmarkTempo,
+  meter: benchmarkMeter,
+  key: benchmarkKey,
+  contour: benchmarkContour,
+}
+
+/**
+ * Run the named suites (all by default). Returns { [suite]: report }.
+ */
+export function runBenchmark(suites = Object.keys(BENCHMARK_SUITES)) {
+  const report = {}
+  for (const suite of suites) {
+    if (!BENCHMARK_SUITES[suite]) throw new Error(`Unknown benchmark suite: ${suite}`)
+    report[suite] = BENCHMARK_SUITES[suite]()
+  }
+  return report
+}
+
+/**
+ * Plain-text rendering of a benchmark report: summary metrics, then every miss.
+ */
+export function formatBenchmarkReport(report) {
+  const lines = []
+  const misses = (cases, isMiss, describe) => {
+    for (const c of cases.filter(isMiss)) lines.push(`  ✗ ${c.name}: ${describe(c)}`)
+  }
+
+  if (report.tempo) {
+    const t = report.tempo
+    lines.push(`TEMPO  ACC1 ${t.accuracy1}  ACC2 ${t.accuracy2}  |error| mean ${t.meanAbsErrorBpm} / median ${t.medianAbsErrorBpm} / p90 ${t.p90AbsErrorBpm} BPM`)
+    lines.push(`  error histogram (BPM): ${Object.entries(t.errorHistogram).map(([bucket, n]) => `${bucket}: ${n}`).join(', ')}`)
+    misses(t.cases, c => !c.correct, c => `got ${c.detected}${c.octaveFactor ? ` (×${round(c.octaveFactor)})` : ''}`)
+  }
+  if (report.meter) {
+    lines.push(`METER  accuracy ${report.meter.accuracy}`)
+    misses(report.meter.cases, c => !c.correct, c => `got ${c.detected} at ${c.detectedBpm} BPM`)
+  }
+  if (report.key) {
+    const k = report.key
+    lines.push(`KEY    hit rate ${k.hitRate}  MIREX ${k.mirexScore}  (${Object.entries(k.relations).map(([r, n]) => `${r} ${n}`).join(', ')})`)
+    misses(k.cases, c => c.relation !== 'correct', c => `got ${c.detected} (${c.relation})`)
+  }
+  if (report.contour) {
+    lines.push(`CONTOUR  accuracy ${report.contour.accuracy}`)
+    misses(report.contour.cases, c => !c.correct, c => `expected ${c.expected}, got ${c.detected}`)
+  }
+
+  return lines.join('\n')
+}
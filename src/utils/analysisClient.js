@@ -0,0 +1,110 @@
+/**
+ * Main-thread side of the analysis workers. Each call gets its own worker, which
+ * is terminated when the job finishes or is cancelled.
+ */
+
+import { analyzeRecording } from './analysisPipeline.js'
+import { measureLoudness } from './loudness.js'
+
+let nextId = 0
+
+function abortError() {
+  return new DOMException('Analysis cancelled', 'AbortError')
+}
+
+/**
+ * Send an AudioBuffer's channels, plus `message`, to the worker made by
+ * `createWorker` and resolve with its results. Channel data is copied once and
+ * transferred, not cloned. Progress messages go to `onProgress`; aborting
+ * `signal` terminates the worker and rejects with an AbortError.
+ */
+function runInWorker(createWorker, audioBuffer, message, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++
+    const worker = createWorker()
+
+    const finish = () => {
+      worker.terminate()
+      signal?.removeEventListener('abort', onAbort)
+    }
+    const onAbort = () => {
+      finish()
+      reject(abortError())
+    }
+    signal?.addEventListener('abort', onAbort)
+
+    worker.onmessage = (event) => {
+      const { id: messageId, type, ...data } = event.data
+      if (messageId !== id) return
+      if (type === 'progress') {
+        onProgress?.(data)
+      } else if (type === 'result') {
+        finish()
+        resolve(data.results)
+      } else if (type === 'error') {
+        finish()
+        reject(new Error(data.message))
+      }
+    }
+    worker.onerror = (event) => {
+      finish()
+      reject(new Error(event.message || 'Analysis worker failed'))
+    }
+
+    const channels = []
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c).slice())
+    }
+    worker.postMessage(
+      { id, channels, sampleRate: audioBuffer.sampleRate, ...message },
+      channels.map(data => data.buffer)
+    )
+  })
+}
+
+/**
+ * Run `fallback` on the main thread where workers are unavailable, still honouring `signal`.
+ */
+function runOnMainThread(fallback, signal) {
+  return Promise.resolve().then(() => {
+    if (signal?.aborted) throw abortError()
+    return fallback()
+  })
+}
+
+/**
+ * Analyse an AudioBuffer in a Web Worker. Resolves with the analysis results;
+ * rejects with an AbortError when `signal` is aborted. Falls back to the main
+ * thread where workers are unavailable.
+ */
+export function analyzeInWorker(audioBuffer, { preprocessingOptions, tempoPrior, onProgress, signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError())
+
+  if (typeof Worker === 'undefined') {
+    return runOnMainThread(() => analyzeRecording(audioBuffer, { preprocessingOptions, tempoPrior, onProgress }), signal)
+  }
+  return runInWorker(
+    () => new Worker(new URL('../workers/analysisWorker.js', import.meta.url), { type: 'module' }),
+    audioBuffer,
+    { preprocessingOptions, tempoPrior },
+    { onProgress, signal }
+  )
+}
+
+/**
+ * Meter an AudioBuffer's loudness (see measureLoudness) in a Web Worker, with
+ * the same cancellation and fallback as analyzeInWorker.
+ */
+export function measureLoudnessInWorker(audioBuffer, { signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError())
+
+  if (typeof Worker === 'undefined') {
+    return runOnMainThread(() => measureLoudness(audioBuffer), signal)
+  }
+  return runInWorker(
+    () => new Worker(new URL('../workers/loudnessWorker.js', import.meta.url), { type: 'module' }),
+    audioBuffer,
+    {},
+    { signal }
+  )
+}
@@ -0,0 +1,157 @@
+/**
+ * Input normalisation shared by every detector: reduces any AudioBuffer to one
+ * mono signal at a canonical analysis rate, so results don't depend on the
+ * device's sample rate or channel layout.
+ */
+
+export const ANALYSIS_SAMPLE_RATE = 22050
+
+// Channels this far below the loudest one are treated as dead
+const DEAD_CHANNEL_DB = -40
+// A downmix this much quieter than its inputs means the channels are cancelling out
+const CANCELLATION_RATIO = 0.5
+const RESAMPLE_HALF_TAPS = 16
+
+const signalCache = new WeakMap()
+
+/**
+ * Wrap raw channel arrays in an object with the parts of the AudioBuffer
+ * interface the analysis modules use.
+ */
+export function createAnalysisBuffer(channels, sampleRate) {
+  const length = channels[0]?.length || 0
+  return {
+    sampleRate,
+    length,
+    duration: length / sampleRate,
+    numberOfChannels: channels.length,
+    getChannelData: (channel) => channels[channel],
+  }
+}
+
+/**
+ * Copy the part of an AudioBuffer between two times (seconds) into a new
+ * AudioBuffer-compatible object.
+ */
+export function sliceAudioBuffer(audioBuffer, startSeconds, endSeconds) {
+  const start = Math.max(0, Math.round(startSeconds * audioBuffer.sampleRate))
+  const end = Math.min(audioBuffer.length, Math.round(endSeconds * audioBuffer.sampleRate))
+  const channels = []
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c).slice(start, Math.max(start, end)))
+  }
+  return createAnalysisBuffer(channels, audioBuffer.sampleRate)
+}
+
+/**
+ * Peak level per column across all channels, normalised to the loudest column,
+ * for drawing a compact overview of a take.
+ */
+export function waveformPeaks(audioBuffer, columns) {
+  const columnSize = Math.max(1, Math.floor(audioBuffer.length / columns))
+  const peaks = new Float32Array(columns)
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const data = audioBuffer.getChannelData(c)
+    for (let col = 0; col < columns; col++) {
+      const end = Math.min(data.length, (col + 1) * columnSize)
+      for (let i = col * columnSize; i < end; i++) {
+        const abs = Math.abs(data[i])
+        if (abs > peaks[col]) peaks[col] = abs
+      }
+    }
+  }
+  const loudest = Math.max(...peaks, 0)
+  return loudest > 0 ? peaks.map(p => p / loudest) : peaks
+}
+
+function rms(data) {
+  let sum = 0
+  for (let i = 0; i < data.length; i++) sum += data[i] * data[i]
+  return data.length > 0 ? Math.sqrt(sum / data.length) : 0
+}
+
+/**
+ * Reduce all channels to mono. Averages the live channels, or falls back to the
+ * single loudest channel when the live channels cancel each other out.
+ * Returns { data, strategy, channels } where `channels` lists the ones used.
+ */
+export function downmix(audioBuffer) {
+  const all = []
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) all.push(audioBuffer.getChannelData(c))
+  if (all.length === 1) return { data: all[0], strategy: 'mono', channels: [0] }
+
+  const levels = all.map(rms)
+  const loudest = Math.max(...levels)
+  const bestChannel = levels.indexOf(loudest)
+  const live = levels
+    .map((level, c) => ({ level, c }))
+    .filter(({ level }) => loudest > 0 && level >= loudest * 10 ** (DEAD_CHANNEL_DB / 20))
+    .map(({ c }) => c)
+
+  if (live.length <= 1) {
+    return { data: all[bestChannel], strategy: 'best-channel', channels: [bestChannel] }
+  }
+
+  const data = new Float32Array(all[0].length)
+  for (const c of live) {
+    const channel = all[c]
+    for (let i = 0; i < data.length; i++) data[i] += channel[i] / live.length
+  }
+
+  const meanLevel = live.reduce((sum, c) => sum + levels[c], 0) / live.length
+  if (rms(data) < meanLevel * CANCELLATION_RATIO) {
+    return { data: all[bestChannel], strategy: 'best-channel', channels: [bestChannel] }
+  }
+
+  return { data, strategy: 'downmix', channels: live }
+}
+
+/**
+ * Band-limited resampling with a Hann-windowed sinc kernel.
+ * The cutoff follows the lower of the two Nyquist rates to avoid aliasing.
+ */
+export function resample(data, fromRate, toRate) {
+  if (fromRate === toRate) return data
+
+  const ratio = fromRate / toRate
+  const outLength = Math.floor(data.length / ratio)
+  const out = new Float32Array(outLength)
+  const cutoff = Math.min(1, toRate / fromRate)
+  const halfWidth = Math.ceil(RESAMPLE_HALF_TAPS / cutoff)
+
+  for (let n = 0; n < outLength; n++) {
+    const center = n * ratio
+    const first = Math.max(0, Math.ceil(center - halfWidth))
+    const last = Math.min(data.length - 1, Math.floor(center + halfWidth))
+    let sum = 0
+    for (let i = first; i <= last; i++) {
+      const x = i - center
+      const arg = Math.PI * x * cutoff
+      const sinc = x === 0 ? 1 : Math.sin(arg) / arg
+      const window = 0.5 + 0.5 * Math.cos(Math.PI * x / halfWidth)
+      sum += data[i] * sinc * window * cutoff
+    }
+    out[n] = sum
+  }
+  return out
+}
+
+/**
+ * The mono, canonical-rate signal every detector analyses.
+ * Returns { data, sampleRate, strategy, channels }; cached per buffer, so
+ * detectors called on the same buffer share one conversion.
+ */
+export function getAnalysisSignal(audioBuffer) {
+  const cached = signalCache.get(audioBuffer)
+  if (cached) return cached
+
+  const { data, strategy, channels } = downmix(audioBuffer)
+  const signal = {
+    data: resample(data, audioBuffer.sampleRate, ANALYSIS_SAMPLE_RATE),
+    sampleRate: ANALYSIS_SAMPLE_RATE,
+    strategy,
+    channels,
+  }
+  signalCache.set(audioBuffer, signal)
+  return signal
+}
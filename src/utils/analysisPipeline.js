@@ -0,0 +1,34 @@
+/**
+ * The full analysis run for one recording: pre-processing followed by feature
+ * analysis. Shared by the analysis worker and the main-thread fallback.
+ */
+
+import { analyzeAudioBuffer, ANALYSIS_STAGES } from './audioAnalysis.js'
+import { preprocessAudioBuffer } from './audioPreprocessing.js'
+
+const PREPROCESSING_STAGE = { id: 'preprocessing', label: 'Cleaning up audio' }
+const STAGE_COUNT = ANALYSIS_STAGES.length + 1
+
+/**
+ * Pre-process and analyse an AudioBuffer. Returns the analysis results with the
+ * pre-processing report attached. `onProgress` receives { stage, label, progress }
+ * with progress running from 0 to 1 across both steps. `tempoPrior` is passed on to
+ * tempo detection. Confidence and loudness are judged on the input's own level, not the
+ * normalised one.
+ */
+export function analyzeRecording(audioBuffer, { preprocessingOptions, onProgress, tempoPrior } = {}) {
+  onProgress?.({ stage: PREPROCESSING_STAGE.id, label: PREPROCESSING_STAGE.label, progress: 0 })
+  const { audioBuffer: processedBuffer, report, loudness } = preprocessAudioBuffer(audioBuffer, preprocessingOptions)
+
+  const results = analyzeAudioBuffer(processedBuffer, {
+    tempoPrior,
+    inputLevel: report.inputLevel,
+    loudness,
+    onProgress: onProgress && (({ stage, label, progress }) => {
+      onProgress({ stage, label, progress: (1 + progress * ANALYSIS_STAGES.length) / STAGE_COUNT })
+    }),
+  })
+  onProgress?.({ stage: 'done', label: 'Done', progress: 1 })
+
+  return { ...results, preprocessing: report }
+}
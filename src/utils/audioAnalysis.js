@@ -1,8 +1,17 @@
 /**
  * Audio analysis utilities for extracting musical features from recorded audio.
- * All functions operate on Web Audio API AudioBuffer objects.
+ * All functions operate on Web Audio API AudioBuffer objects, analysed through
+ * the shared mono, canonical-rate signal from analysisInput.
  */
 
+import { getAnalysisSignal } from './analysisInput.js'
+import { fft, hannWindow } from './dsp.js'
+import { detectDrumPattern, describeDrumPattern, stepsPerBeatFor } from './drumPattern.js'
+import { trackPitch, segmentNotes, frequencyToMidi, midiToNoteName, HOP_MS as PITCH_TRACK_HOP_MS } from './melodyTranscription.js'
+import { analyzeVocalRange } from './vocalRange.js'
+import { measureLoudness } from './loudness.js'
+import { NOTE_NAMES } from './common.js'
+
 const NOTE_FREQUENCIES = [
   { note: 'C', freq: 261.63 },
   { note: 'C#', freq: 277.18 },
@@ -18,8 +27,58 @@ const NOTE_FREQUENCIES = [
   { note: 'B', freq: 493.88 },
 ]
 
-const MINOR_KEYS = ['A', 'B', 'C', 'D', 'E', 'F', 'G']
-const KEY_QUALITIES = ['minor', 'major']
+// Krumhansl-Kessler key profiles, indexed from the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+
+const CHROMA_FRAME_SIZE = 8192
+const CHROMA_MIN_FREQ = 65
+const CHROMA_MAX_FREQ = 2000
+
+const DEFAULT_BPM = 120
+const TEMPO_MIN_BPM = 60
+const TEMPO_MAX_BPM = 200
+const TEMPO_CURVE_WINDOW_MS = 4000
+const TEMPO_CURVE_HOP_MS = 1000
+// Width (octaves) of the log-tempo prior: broad around 120 BPM by default,
+// narrow around a tempo the user recorded to
+const TEMPO_PRIOR_OCTAVES = 1
+const USER_TEMPO_PRIOR_OCTAVES = 0.25
+// A detected tempo this close to the user's is taken as settled, not ambiguous
+const USER_TEMPO_MATCH = 0.08
+const ONSET_FLUX_FLOOR = 5
+
+const ENERGY_FRAME_MS = 10
+const ENERGY_ACTIVE_DB = -30
+// An attack is a rise of this many dB within ENERGY_ATTACK_MS
+const ENERGY_ATTACK_RISE_DB = 6
+const ENERGY_ATTACK_MS = 40
+const ENERGY_MIN_GAP_MS = 80
+const ENERGY_DENSE_ATTACKS_PER_SEC = 6
+const ENERGY_DULL_CENTROID = 400
+const ENERGY_BRIGHT_CENTROID = 3000
+
+const CONTOUR_MIN_NOTE_MS = 100
+const CONTOUR_MIN_RISE_SEMITONES = 2
+const CONTOUR_MIN_DIRECTEDNESS = 0.3
+
+const INPUT_MELODY_LABELS = {
+  humming: 'hummed melody',
+  singing: 'sung melody',
+  whistling: 'whistled melody',
+  speech: 'spoken melody',
+}
+
+// Features below LOW_CONFIDENCE are flagged; below OMIT_CONFIDENCE they are left out of prompts
+const LOW_CONFIDENCE = 0.5
+const OMIT_CONFIDENCE = 0.2
+const SILENCE_PEAK = 0.01
+
+const METER_MIN_BEATS = 6
+const METER_MARGIN = 0.15
+const METER_LOUDNESS_RANGE_DB = 12
+// A tracked "beat" this fast with a 3-beat accent cycle is an eighth note in 6/8
+const COMPOUND_EIGHTH_BPM = 150
 
 function frequencyToNote(freq) {
   if (freq <= 0) return { note: 'C', octave: 4 }
@@ -49,78 +108,499 @@ function frequencyToNote(freq) {
   return { note: closest.note, octave }
 }
 
+function pearsonCorrelation(a, b) {
+  const n = a.length
+  const meanA = a.reduce((s, v) => s + v, 0) / n
+  const meanB = b.reduce((s, v) => s + v, 0) / n
+  let num = 0, denA = 0, denB = 0
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - meanA
+    const db = b[i] - meanB
+    num += da * db
+    denA += da * da
+    denB += db * db
+  }
+  const den = Math.sqrt(denA * denB)
+  return den > 0 ? num / den : 0
+}
+
+/**
+ * Build a 12-bin pitch-class profile (chromagram summed over time) for the whole recording.
+ * Quiet frames are skipped so silence and breath noise don't flatten the profile.
+ */
+export function computeChroma(audioBuffer) {
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
+  const frameSize = Math.min(CHROMA_FRAME_SIZE, 2 ** Math.floor(Math.log2(Math.max(channelData.length, 2))))
+  const hopSize = frameSize / 2
+  const chroma = new Array(12).fill(0)
+
+  // Precompute the pitch class of every bin in the analysed frequency range
+  const minBin = Math.max(1, Math.ceil(CHROMA_MIN_FREQ * frameSize / sampleRate))
+  const maxBin = Math.min(frameSize / 2 - 1, Math.floor(CHROMA_MAX_FREQ * frameSize / sampleRate))
+  const binPitchClass = new Int8Array(maxBin + 1)
+  for (let k = minBin; k <= maxBin; k++) {
+    const midi = 69 + 12 * Math.log2((k * sampleRate / frameSize) / 440)
+    binPitchClass[k] = ((Math.round(midi) % 12) + 12) % 12
+  }
+
+  const window = hannWindow(frameSize)
+
+  // Gate frames against the loudest one
+  const frameRms = []
+  for (let start = 0; start + frameSize <= channelData.length; start += hopSize) {
+    let sum = 0
+    for (let i = start; i < start + frameSize; i++) sum += channelData[i] * channelData[i]
+    frameRms.push(Math.sqrt(sum / frameSize))
+  }
+  const gate = Math.max(...frameRms, 0) * 0.1
+
+  const re = new Float32Array(frameSize)
+  const im = new Float32Array(frameSize)
+  frameRms.forEach((rms, frameIndex) => {
+    if (rms <= gate || rms === 0) return
+    const start = frameIndex * hopSize
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = channelData[start + i] * window[i]
+      im[i] = 0
+    }
+    fft(re, im)
+    for (let k = minBin; k <= maxBin; k++) {
+      chroma[binPitchClass[k]] += Math.sqrt(re[k] * re[k] + im[k] * im[k])
+    }
+  })
+
+  const total = chroma.reduce((s, v) => s + v, 0)
+  return total > 0 ? chroma.map(v => v / total) : chroma
+}
+
 /**
- * Detect tempo (BPM) using onset detection on the energy envelope.
+ * Match a pitch-class profile against all 24 major/minor key templates.
+ * Returns every key ranked by correlation, best first.
  */
-export function detectTempo(audioBuffer) {
-  const channelData = audioBuffer.getChannelData(0)
-  const sampleRate = audioBuffer.sampleRate
+export function estimateKey(chroma) {
+  const candidates = []
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12])
+    candidates.push({ tonic: NOTE_NAMES[tonic], mode: 'major', score: pearsonCorrelation(rotated, MAJOR_PROFILE) })
+    candidates.push({ tonic: NOTE_NAMES[tonic], mode: 'minor', score: pearsonCorrelation(rotated, MINOR_PROFILE) })
+  }
+  candidates.sort((a, b) => b.score - a.score)
+
+  const [best, runnerUp] = candidates
+  // Confidence blends how well the best template fits with how clearly it beats the runner-up
+  const fit = Math.max(0, best.score)
+  const margin = Math.min(1, Math.max(0, (best.score - runnerUp.score) / 0.2))
+  const confidence = chroma.some(v => v > 0) ? fit * 0.5 + margin * 0.5 : 0
 
-  // Compute energy envelope with a hop size of ~10ms
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    key: `${best.tonic} ${best.mode}`,
+    confidence: Math.round(confidence * 100) / 100,
+    candidates: candidates.map(c => ({
+      key: `${c.tonic} ${c.mode}`,
+      score: Math.round(c.score * 1000) / 1000,
+    })),
+  }
+}
+
+/**
+ * Onset strength envelope: log-magnitude spectral flux at a ~10ms hop.
+ * Flux catches pitch changes in a legato hum as well as percussive attacks.
+ */
+export function computeOnsetStrength(audioBuffer) {
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
   const hopSize = Math.floor(sampleRate * 0.01)
-  const envelope = []
-  for (let i = 0; i < channelData.length - hopSize; i += hopSize) {
+  const frameSize = 2 ** Math.round(Math.log2(sampleRate * 0.023))
+
+  const window = hannWindow(frameSize)
+
+  const re = new Float32Array(frameSize)
+  const im = new Float32Array(frameSize)
+  let previous = null
+  const flux = []
+  for (let start = 0; start + frameSize <= channelData.length; start += hopSize) {
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = channelData[start + i] * window[i]
+      im[i] = 0
+    }
+    fft(re, im)
+
+    const magnitudes = new Float32Array(frameSize / 2)
+    for (let k = 0; k < frameSize / 2; k++) {
+      magnitudes[k] = Math.log1p(100 * Math.sqrt(re[k] * re[k] + im[k] * im[k]))
+    }
+
     let sum = 0
-    for (let j = i; j < i + hopSize; j++) {
-      sum += channelData[j] * channelData[j]
+    if (previous) {
+      for (let k = 0; k < magnitudes.length; k++) {
+        const rise = magnitudes[k] - previous[k]
+        if (rise > 0) sum += rise
+      }
     }
-    envelope.push(Math.sqrt(sum / hopSize))
+    flux.push(sum)
+    previous = magnitudes
   }
 
-  // Normalize envelope
-  const maxEnv = Math.max(...envelope, 0.0001)
-  const normalized = envelope.map(v => v / maxEnv)
+  // Remove the slowly varying baseline and half-wave rectify
+  const baselineWindow = 20
+  const envelope = flux.map((value, i) => {
+    let avg = 0
+    let count = 0
+    for (let j = Math.max(0, i - baselineWindow); j <= Math.min(flux.length - 1, i + baselineWindow); j++) {
+      avg += flux[j]
+      count++
+    }
+    return Math.max(0, value - avg / count)
+  })
+
+  // Normalise against an absolute floor so a steady tone's tiny flux stays tiny
+  const scale = Math.max(...envelope, ONSET_FLUX_FLOOR)
+  return {
+    envelope: envelope.map(v => v / scale),
+    hopMs: (hopSize / sampleRate) * 1000,
+    // Frame i is centred at offsetMs + i * hopMs
+    offsetMs: (frameSize / 2 / sampleRate) * 1000,
+  }
+}
 
-  // Onset detection: find peaks where energy rises above a moving average
+/**
+ * Pick onset times (ms) from an onset strength envelope.
+ */
+function pickOnsets(envelope, hopMs, offsetMs = 0) {
   const windowSize = 8
   const onsets = []
-  for (let i = windowSize; i < normalized.length - 1; i++) {
+  for (let i = windowSize; i < envelope.length - 1; i++) {
     let avg = 0
     for (let j = i - windowSize; j < i; j++) {
-      avg += normalized[j]
+      avg += envelope[j]
     }
     avg /= windowSize
 
-    const threshold = avg * 1.5 + 0.05
-    if (normalized[i] > threshold && normalized[i] > normalized[i - 1] && normalized[i] >= normalized[i + 1]) {
+    const threshold = avg * 1.5 + 0.1
+    if (envelope[i] > threshold && envelope[i] > envelope[i - 1] && envelope[i] >= envelope[i + 1]) {
       // Avoid double-counting onsets too close together (< 100ms)
-      const timeMs = (i * hopSize / sampleRate) * 1000
+      const timeMs = Math.round(offsetMs + i * hopMs)
       if (onsets.length === 0 || timeMs - onsets[onsets.length - 1] > 100) {
         onsets.push(timeMs)
       }
     }
   }
+  return onsets
+}
+
+/**
+ * Mean envelope strength on a beat grid of the given period (frames),
+ * at the phase that maximises it. Also returns the strength half a period later.
+ */
+function gridStrength(envelope, period) {
+  // Peak within ±2 frames so a fractional period doesn't miss single-frame spikes
+  const peakNear = (t) => {
+    const centre = Math.round(t)
+    let peak = 0
+    for (let i = Math.max(0, centre - 2); i <= Math.min(envelope.length - 1, centre + 2); i++) {
+      peak = Math.max(peak, envelope[i])
+    }
+    return peak
+  }
+
+  let best = { phase: 0, onBeat: 0, offBeat: 0 }
+  for (let phase = 0; phase < period; phase++) {
+    let on = 0, off = 0, count = 0
+    for (let t = phase; t + period / 2 < envelope.length; t += period) {
+      on += peakNear(t)
+      off += peakNear(t + period / 2)
+      count++
+    }
+    if (count > 0 && on / count > best.onBeat) {
+      best = { phase, onBeat: on / count, offBeat: off / count }
+    }
+  }
+  return best
+}
+
+/**
+ * Estimate tempo from the autocorrelation of an onset strength envelope.
+ * A log-normal prior, by default centred on 120 BPM, resolves the usual octave errors.
+ */
+function estimateTempoFromEnvelope(envelope, hopMs, prior = { bpm: DEFAULT_BPM, octaves: TEMPO_PRIOR_OCTAVES }) {
+  const mean = envelope.reduce((a, b) => a + b, 0) / (envelope.length || 1)
+  const centred = envelope.map(v => v - mean)
+  const lagFor = (bpm) => 60000 / bpm / hopMs
+  const minLag = Math.floor(lagFor(TEMPO_MAX_BPM))
+  const maxLag = Math.min(Math.ceil(lagFor(TEMPO_MIN_BPM)), centred.length - 1)
+
+  let energy = 0
+  for (const v of centred) energy += v * v
+  if (energy === 0 || maxLag <= minLag) return null
+
+  const acf = new Float32Array(maxLag + 2)
+  for (let lag = minLag - 1; lag <= maxLag + 1 && lag < centred.length; lag++) {
+    let sum = 0
+    for (let i = 0; i + lag < centred.length; i++) sum += centred[i] * centred[i + lag]
+    acf[lag] = sum / energy
+  }
+
+  let bestLag = -1
+  let bestScore = -Infinity
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60000 / (lag * hopMs)
+    const weight = Math.exp(-0.5 * (Math.log2(bpm / prior.bpm) / prior.octaves) ** 2)
+    const score = acf[lag] * weight
+    if (acf[lag] >= acf[lag - 1] && acf[lag] >= acf[lag + 1] && score > bestScore) {
+      bestScore = score
+      bestLag = lag
+    }
+  }
+  if (bestLag === -1) return null
+
+  // Parabolic interpolation for a fractional lag
+  const a = acf[bestLag - 1], b = acf[bestLag], c = acf[bestLag + 1]
+  const denom = a - 2 * b + c
+  const lag = denom !== 0 ? bestLag + (a - c) / (2 * denom) : bestLag
+
+  return { bpm: 60000 / (lag * hopMs), period: lag, strength: Math.max(0, Math.min(1, acf[bestLag])) }
+}
+
+/**
+ * Dynamic-programming beat tracker (Ellis, 2007): chooses beat frames that
+ * line up with strong onsets while staying close to the target period.
+ */
+function trackBeats(envelope, period, tightness = 100) {
+  const n = envelope.length
+  const score = new Float32Array(n)
+  const backlink = new Int32Array(n).fill(-1)
+
+  for (let t = 0; t < n; t++) {
+    let bestPrev = -1
+    let bestPrevScore = 0
+    const from = Math.max(0, Math.round(t - 2 * period))
+    const to = Math.round(t - period / 2)
+    for (let prev = from; prev <= to; prev++) {
+      const penalty = tightness * Math.log((t - prev) / period) ** 2
+      const candidate = score[prev] - penalty
+      if (bestPrev === -1 || candidate > bestPrevScore) {
+        bestPrev = prev
+        bestPrevScore = candidate
+      }
+    }
+    score[t] = envelope[t] + (bestPrev !== -1 ? Math.max(0, bestPrevScore) : 0)
+    backlink[t] = bestPrev !== -1 && bestPrevScore > 0 ? bestPrev : -1
+  }
 
-  if (onsets.length < 2) {
-    return { bpm: 120, onsets }
+  // Start from the best-scoring frame in the final period
+  let t = n - 1
+  for (let i = Math.max(0, Math.round(n - period)); i < n; i++) {
+    if (score[i] > score[t]) t = i
   }
 
-  // Calculate inter-onset intervals
-  const intervals = []
-  for (let i = 1; i < onsets.length; i++) {
-    intervals.push(onsets[i] - onsets[i - 1])
+  const beats = []
+  while (t >= 0) {
+    beats.unshift(t)
+    t = backlink[t]
+  }
+  return beats
+}
+
+/**
+ * Detect tempo (BPM) and beat positions from an onset strength envelope.
+ * Returns the BPM with a 0-1 confidence, beat timestamps and onsets (ms),
+ * a local tempo curve, and whether half/double tempo is equally plausible.
+ * Pass a precomputed onset strength envelope to avoid recomputing it, and
+ * `tempoPrior` (BPM) when the take was recorded to a click at a known tempo.
+ */
+export function detectTempo(audioBuffer, onsetStrength = computeOnsetStrength(audioBuffer), { tempoPrior = null } = {}) {
+  const { envelope, hopMs, offsetMs } = onsetStrength
+  const onsets = pickOnsets(envelope, hopMs, offsetMs)
+  const prior = tempoPrior
+    ? { bpm: tempoPrior, octaves: USER_TEMPO_PRIOR_OCTAVES }
+    : { bpm: DEFAULT_BPM, octaves: TEMPO_PRIOR_OCTAVES }
+  const estimate = estimateTempoFromEnvelope(envelope, hopMs, prior)
+
+  if (!estimate) {
+    return {
+      bpm: tempoPrior || DEFAULT_BPM,
+      confidence: 0,
+      beats: [],
+      onsets,
+      tempoCurve: [],
+      ambiguous: false,
+      alternativeBpm: null,
+    }
   }
 
-  // Use median interval for robustness
-  intervals.sort((a, b) => a - b)
-  const medianInterval = intervals[Math.floor(intervals.length / 2)]
+  const { bpm, period, strength } = estimate
+  // Weak onsets make even a clean periodicity untrustworthy
+  const salience = Math.max(...envelope, 0)
 
-  let bpm = 60000 / medianInterval
+  // Octave ambiguity: strong off-beats support double time,
+  // alternating strong/weak beats support half time
+  const grid = gridStrength(envelope, period)
+  const doubleSupport = grid.onBeat > 0 ? grid.offBeat / grid.onBeat : 0
+  const halfGrid = gridStrength(envelope, period * 2)
+  const halfSupport = halfGrid.onBeat > 0 ? 1 - halfGrid.offBeat / halfGrid.onBeat : 0
 
-  // Clamp to reasonable range, adjusting octave if needed
-  while (bpm > 200) bpm /= 2
-  while (bpm < 60) bpm *= 2
+  let alternativeBpm = null
+  if (doubleSupport > 0.6 && bpm * 2 <= TEMPO_MAX_BPM * 1.2) alternativeBpm = bpm * 2
+  else if (halfSupport > 0.4 && bpm / 2 >= TEMPO_MIN_BPM / 1.5) alternativeBpm = bpm / 2
+  if (tempoPrior && Math.abs(bpm / tempoPrior - 1) <= USER_TEMPO_MATCH) alternativeBpm = null
 
-  return { bpm: Math.round(bpm), onsets }
+  const beats = trackBeats(envelope, period).map(frame => Math.round(offsetMs + frame * hopMs))
+
+  // Local tempo over sliding windows
+  const curveWindow = Math.round(TEMPO_CURVE_WINDOW_MS / hopMs)
+  const curveHop = Math.round(TEMPO_CURVE_HOP_MS / hopMs)
+  const tempoCurve = []
+  for (let start = 0; start + curveWindow <= envelope.length; start += curveHop) {
+    const local = estimateTempoFromEnvelope(envelope.slice(start, start + curveWindow), hopMs, prior)
+    if (local) {
+      tempoCurve.push({
+        time: Math.round(offsetMs + (start + curveWindow / 2) * hopMs),
+        bpm: Math.round(local.bpm),
+      })
+    }
+  }
+
+  return {
+    bpm: Math.round(bpm),
+    confidence: Math.round(strength * salience * 100) / 100,
+    beats,
+    onsets,
+    tempoCurve,
+    ambiguous: alternativeBpm !== null,
+    alternativeBpm: alternativeBpm !== null ? Math.round(alternativeBpm) : null,
+  }
 }
 
 /**
- * Detect dominant pitch and map to a musical key.
- * Uses autocorrelation for pitch detection (more accurate for voice than FFT peak).
+ * Detect the time signature from accent periodicity.
+ * Each beat's accent combines its onset strength with how loud the audio is just after it;
+ * accents that repeat every 3 beats indicate triple meter, every 2 or 4 beats duple,
+ * and onsets splitting beats into thirds indicate compound (6/8).
+ * Beats are counted in the meter's own unit: quarter notes in x/4, eighth notes in 6/8.
+ * Returns { meter, beatsPerBar, beatScale, confidence }, where beatScale is how many
+ * of those beats fall in one tracked beat: 1, or 2–3 when the tracker followed a
+ * slower pulse than the 6/8 eighths.
+ */
+export function detectMeter(audioBuffer, onsetStrength, beats, bpm) {
+  const { envelope, hopMs, offsetMs } = onsetStrength
+  const fallback = { meter: '4/4', beatsPerBar: 4, beatScale: 1, confidence: 0 }
+  if (beats.length < METER_MIN_BEATS) return fallback
+
+  const frameAt = (ms) => Math.round((ms - offsetMs) / hopMs)
+  const peakNear = (frame) => {
+    let peak = 0
+    for (let i = Math.max(0, frame - 2); i <= Math.min(envelope.length - 1, frame + 2); i++) {
+      peak = Math.max(peak, envelope[i])
+    }
+    return peak
+  }
+
+  // Accent strength at each time: onset strength plus the loudness in the 100ms
+  // after it, in dB below the loudest
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
+  const accents = (times) => {
+    const loudness = times.map(ms => {
+      const start = Math.max(0, Math.round((ms / 1000) * sampleRate))
+      const end = Math.min(channelData.length, start + Math.round(sampleRate * 0.1))
+      let sum = 0
+      for (let i = start; i < end; i++) sum += channelData[i] * channelData[i]
+      return 10 * Math.log10(sum / Math.max(1, end - start) + 1e-10)
+    })
+    const loudest = Math.max(...loudness)
+    return times.map((ms, i) => (
+      peakNear(frameAt(ms)) + Math.max(0, 1 + (loudness[i] - loudest) / METER_LOUDNESS_RANGE_DB)
+    ))
+  }
+
+  // Normalised autocorrelation of accent strengths at a bar-length lag
+  const accentAcf = (strengths, lag) => {
+    const mean = strengths.reduce((a, b) => a + b, 0) / strengths.length
+    const centred = strengths.map(v => v - mean)
+    const energy = centred.reduce((sum, v) => sum + v * v, 0)
+    if (energy === 0) return 0
+    let sum = 0
+    for (let i = 0; i + lag < centred.length; i++) sum += centred[i] * centred[i + lag]
+    return (sum / (centred.length - lag)) / (energy / centred.length)
+  }
+  const strengths = accents(beats)
+  const triple = accentAcf(strengths, 3)
+  const duple = Math.max(accentAcf(strengths, 2), accentAcf(strengths, 4))
+
+  // Subdivision: onsets at thirds of the beat vs halfway through it
+  let thirds = 0, halves = 0
+  for (let i = 0; i + 1 < beats.length; i++) {
+    const span = beats[i + 1] - beats[i]
+    thirds += (peakNear(frameAt(beats[i] + span / 3)) + peakNear(frameAt(beats[i] + (2 * span) / 3))) / 2
+    halves += peakNear(frameAt(beats[i] + span / 2))
+  }
+  const compoundSubdivision = thirds > halves * 1.5 && thirds / (beats.length - 1) > 0.2
+  const halfSubdivision = !compoundSubdivision && halves / (beats.length - 1) > 0.2
+
+  if (triple > duple + METER_MARGIN) {
+    const confidence = Math.round(Math.min(1, (triple - duple) / 0.5) * 100) / 100
+    // Three fast beats per accent are eighths of a 6/8 bar rather than a 3/4 bar
+    if (bpm >= COMPOUND_EIGHTH_BPM) return { meter: '6/8', beatsPerBar: 6, beatScale: 1, confidence }
+
+    // With onsets halfway through each beat, the tracker may be on every other eighth of a 6/8 bar:
+    // then the eighths are accented in threes (1 and 4) rather than in twos as 3/4 quarters are
+    if (halfSubdivision) {
+      const eighths = subdivideBeats(beats, 2)
+      const eighthStrengths = accents(eighths)
+      if (accentAcf(eighthStrengths, 3) > accentAcf(eighthStrengths, 2) + METER_MARGIN) {
+        return { meter: '6/8', beatsPerBar: 6, beatScale: 2, confidence }
+      }
+    }
+    return { meter: '3/4', beatsPerBar: 3, beatScale: 1, confidence }
+  }
+
+  // Beats split into thirds are the dotted quarters of 6/8
+  if (compoundSubdivision) {
+    const confidence = Math.round(Math.min(1, thirds / halves / 3) * 100) / 100
+    return { meter: '6/8', beatsPerBar: 6, beatScale: 3, confidence }
+  }
+
+  // Duple is the default, so a weak accent pattern still lands here with low confidence
+  const confidence = Math.max(0, Math.min(1, (duple - triple) / 0.5))
+  return { meter: '4/4', beatsPerBar: 4, beatScale: 1, confidence: Math.round(confidence * 100) / 100 }
+}
+
+/**
+ * Split each interval between beat times (ms) into `factor` equal beats.
+ */
+function subdivideBeats(beats, factor) {
+  if (factor === 1) return beats
+  const subdivided = []
+  for (let i = 0; i < beats.length; i++) {
+    subdivided.push(beats[i])
+    if (i + 1 === beats.length) break
+    const span = beats[i + 1] - beats[i]
+    for (let k = 1; k < factor; k++) subdivided.push(Math.round(beats[i] + (k * span) / factor))
+  }
+  return subdivided
+}
+
+/**
+ * A tempo result restated in the meter's beat unit: `beatScale` beats per tracked beat.
+ */
+function scaleTempoResult(tempoResult, beatScale) {
+  if (beatScale === 1) return tempoResult
+  return {
+    ...tempoResult,
+    bpm: Math.round(tempoResult.bpm * beatScale),
+    beats: subdivideBeats(tempoResult.beats, beatScale),
+    tempoCurve: tempoResult.tempoCurve.map(point => ({ ...point, bpm: Math.round(point.bpm * beatScale) })),
+    alternativeBpm: tempoResult.alternativeBpm !== null ? Math.round(tempoResult.alternativeBpm * beatScale) : null,
+  }
+}
+
+/**
+ * Detect dominant pitch and the musical key.
+ * Uses autocorrelation for the dominant pitch (more accurate for voice than FFT peak),
+ * and a chromagram over the whole recording matched against key profiles for the key.
  */
 export function detectPitch(audioBuffer) {
-  const channelData = audioBuffer.getChannelData(0)
-  const sampleRate = audioBuffer.sampleRate
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
 
   // Take a segment from the middle of the recording (most stable pitch)
   const segmentLength = Math.min(channelData.length, sampleRate * 2)
@@ -159,33 +639,61 @@ export function detectPitch(audioBuffer) {
   const detectedFreq = sampleRate / bestLag
   const { note } = frequencyToNote(detectedFreq)
 
-  // Determine major/minor based on simple heuristic:
-  // Lower energy recordings tend toward minor, higher toward major
-  const rms = calculateEnergy(audioBuffer)
-  const quality = rms.energy > 0.4 ? 'major' : 'minor'
+  const keyResult = estimateKey(computeChroma(audioBuffer))
 
   return {
     frequency: Math.round(detectedFreq * 10) / 10,
     note,
-    key: `${note} ${quality}`,
+    key: keyResult.key,
+    tonic: keyResult.tonic,
+    mode: keyResult.mode,
+    keyConfidence: keyResult.confidence,
+    // Runner-up keys, excluding the winner
+    alternativeKeys: keyResult.candidates.slice(1, 4),
   }
 }
 
 /**
- * Calculate RMS energy level (0-1 scale).
+ * Estimate musical energy (0-1) and bucket it into low, moderate or high.
+ * Built from features that don't change with mic gain: how many attacks the
+ * audible part packs in (level jumps in dB) and how bright the sound is.
+ * Pass precomputed spectral descriptors to avoid recomputing them.
  */
-export function calculateEnergy(audioBuffer) {
-  const channelData = audioBuffer.getChannelData(0)
+export function calculateEnergy(audioBuffer, descriptors = computeSpectralDescriptors(audioBuffer)) {
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
 
-  let sumSquares = 0
-  for (let i = 0; i < channelData.length; i++) {
-    sumSquares += channelData[i] * channelData[i]
+  const frameSize = Math.floor(sampleRate * ENERGY_FRAME_MS / 1000)
+  const levels = []
+  for (let start = 0; start + frameSize <= channelData.length; start += frameSize) {
+    let sum = 0
+    for (let i = start; i < start + frameSize; i++) sum += channelData[i] * channelData[i]
+    levels.push(sum > 0 ? 10 * Math.log10(sum / frameSize) : -Infinity)
   }
+  const loudest = Math.max(...levels)
+  if (!Number.isFinite(loudest)) return { energy: 0, level: 'low' }
 
-  const rms = Math.sqrt(sumSquares / channelData.length)
+  // Only level differences are used, so scaling the input changes nothing
+  const floor = loudest + ENERGY_ACTIVE_DB
+  const lookback = Math.round(ENERGY_ATTACK_MS / ENERGY_FRAME_MS)
+  const refractory = Math.round(ENERGY_MIN_GAP_MS / ENERGY_FRAME_MS)
+  let activeFrames = 0
+  let attacks = 0
+  let lastAttack = -Infinity
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i] < floor) continue
+    activeFrames++
+    const before = Math.min(...levels.slice(Math.max(0, i - lookback), i))
+    if (levels[i] - before >= ENERGY_ATTACK_RISE_DB && i - lastAttack >= refractory) {
+      attacks++
+      lastAttack = i
+    }
+  }
 
-  // Normalize: typical mic RMS ranges 0-0.5, scale to 0-1
-  const energy = Math.min(rms * 3, 1)
+  const activeSeconds = (activeFrames * ENERGY_FRAME_MS) / 1000
+  const clamp = (v) => Math.max(0, Math.min(1, v))
+  const density = activeSeconds > 0 ? clamp(attacks / activeSeconds / ENERGY_DENSE_ATTACKS_PER_SEC) : 0
+  const brightness = clamp((descriptors.centroid - ENERGY_DULL_CENTROID) / (ENERGY_BRIGHT_CENTROID - ENERGY_DULL_CENTROID))
+  const energy = density * 0.55 + brightness * 0.45
 
   let level
   if (energy < 0.3) level = 'low'
@@ -228,91 +736,467 @@ export function classifyRhythm(onsets) {
 }
 
 /**
- * Detect melodic contour (ascending, descending, or oscillating).
- * Divides the audio into segments and tracks average pitch direction.
+ * Parsons code for a sequence of intervals: '*' for the first note, then
+ * U (up), D (down) or R (repeat) for each note after it.
  */
-export function detectContour(audioBuffer) {
-  const channelData = audioBuffer.getChannelData(0)
-  const sampleRate = audioBuffer.sampleRate
-  const numSegments = 6
-  const segmentLength = Math.floor(channelData.length / numSegments)
-
-  const segmentPitches = []
-
-  for (let seg = 0; seg < numSegments; seg++) {
-    const start = seg * segmentLength
-    const end = Math.min(start + segmentLength, channelData.length)
-    const segment = channelData.slice(start, end)
-
-    // Simple zero-crossing rate as a pitch proxy (faster than full autocorrelation per segment)
-    let zeroCrossings = 0
-    for (let i = 1; i < segment.length; i++) {
-      if ((segment[i] >= 0 && segment[i - 1] < 0) || (segment[i] < 0 && segment[i - 1] >= 0)) {
-        zeroCrossings++
+export function toParsonsCode(intervals) {
+  return '*' + intervals.map(i => (i > 0 ? 'U' : i < 0 ? 'D' : 'R')).join('')
+}
+
+/**
+ * Detect melodic contour from the notes of a YIN pitch track.
+ * Returns { label, parsons, intervals }: label is ascending, descending or oscillating,
+ * parsons the Parsons code and intervals the semitone steps between notes.
+ * Pass notes from segmentNotes to avoid re-tracking pitch.
+ */
+export function detectContour(audioBuffer, notes = segmentNotes(trackPitch(audioBuffer))) {
+  // Very short notes are mostly scoops and glitches; drop them if enough notes remain
+  const heldNotes = notes.filter(n => n.duration >= CONTOUR_MIN_NOTE_MS)
+  const melody = heldNotes.length >= 2 ? heldNotes : notes
+
+  const intervals = melody.slice(1).map((note, i) => note.midi - melody[i].midi)
+  const parsons = melody.length > 0 ? toParsonsCode(intervals) : ''
+  if (melody.length < 2) return { label: 'oscillating', parsons, intervals }
+
+  // Duration-weighted trend of pitch over time, from cents-accurate note pitches
+  const points = melody.map(n => ({ t: n.onset + n.duration / 2, p: n.midi + n.cents / 100, w: n.duration }))
+  const weight = points.reduce((sum, pt) => sum + pt.w, 0)
+  const meanT = points.reduce((sum, pt) => sum + pt.w * pt.t, 0) / weight
+  const meanP = points.reduce((sum, pt) => sum + pt.w * pt.p, 0) / weight
+  let covariance = 0, variance = 0
+  for (const pt of points) {
+    covariance += pt.w * (pt.t - meanT) * (pt.p - meanP)
+    variance += pt.w * (pt.t - meanT) ** 2
+  }
+  const span = points[points.length - 1].t - points[0].t
+  const rise = variance > 0 ? (covariance / variance) * span : 0
+
+  // A melody has a direction when the trend carries a fair share of all its movement
+  const movement = points.slice(1).reduce((sum, pt, i) => sum + Math.abs(pt.p - points[i].p), 0)
+  let label = 'oscillating'
+  if (Math.abs(rise) >= CONTOUR_MIN_RISE_SEMITONES && Math.abs(rise) >= movement * CONTOUR_MIN_DIRECTEDNESS) {
+    label = rise > 0 ? 'ascending' : 'descending'
+  }
+
+  return { label, parsons, intervals }
+}
+
+/**
+ * Spectral descriptors averaged over the audible frames:
+ * centroid and 85% rolloff (Hz), and flatness (0 = tonal, 1 = noise-like).
+ */
+export function computeSpectralDescriptors(audioBuffer) {
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
+  const frameSize = 2048
+  const hopSize = 1024
+  const window = hannWindow(frameSize)
+
+  const frameRms = []
+  for (let start = 0; start + frameSize <= channelData.length; start += hopSize) {
+    let sum = 0
+    for (let i = start; i < start + frameSize; i++) sum += channelData[i] * channelData[i]
+    frameRms.push(Math.sqrt(sum / frameSize))
+  }
+  const gate = Math.max(...frameRms, 0) * 0.1
+
+  const re = new Float32Array(frameSize)
+  const im = new Float32Array(frameSize)
+  let centroid = 0, rolloff = 0, flatness = 0, weightSum = 0
+  frameRms.forEach((rms, frameIndex) => {
+    if (rms <= gate || rms === 0) return
+    const start = frameIndex * hopSize
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = channelData[start + i] * window[i]
+      im[i] = 0
+    }
+    fft(re, im)
+
+    const bins = frameSize / 2
+    const power = new Float32Array(bins)
+    let total = 0, weighted = 0, logSum = 0
+    for (let k = 1; k < bins; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k] + 1e-12
+      total += power[k]
+      weighted += (k * sampleRate / frameSize) * power[k]
+      logSum += Math.log(power[k])
+    }
+
+    let cumulative = 0
+    let rolloffBin = bins - 1
+    for (let k = 1; k < bins; k++) {
+      cumulative += power[k]
+      if (cumulative >= total * 0.85) {
+        rolloffBin = k
+        break
       }
     }
 
-    const estimatedFreq = (zeroCrossings * sampleRate) / (2 * segment.length)
-    segmentPitches.push(estimatedFreq)
+    // Weight frames by level so loud, representative frames dominate
+    centroid += (weighted / total) * rms
+    rolloff += (rolloffBin * sampleRate / frameSize) * rms
+    flatness += (Math.exp(logSum / (bins - 1)) / (total / (bins - 1))) * rms
+    weightSum += rms
+  })
+
+  if (weightSum === 0) return { centroid: 0, rolloff: 0, flatness: 0 }
+  return {
+    centroid: Math.round(centroid / weightSum),
+    rolloff: Math.round(rolloff / weightSum),
+    flatness: Math.round((flatness / weightSum) * 1000) / 1000,
   }
+}
 
-  // Linear regression to find pitch trend
-  const n = segmentPitches.length
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0
-  for (let i = 0; i < n; i++) {
-    sumX += i
-    sumY += segmentPitches[i]
-    sumXY += i * segmentPitches[i]
-    sumX2 += i * i
+/**
+ * Classify the kind of input (humming, singing, whistling, beatboxing or speech)
+ * from spectral descriptors, how harmonic the pitch track is, and how much of it
+ * settles into held notes. Returns the class, a 0-1 confidence and the descriptors.
+ */
+export function classifyInputType(audioBuffer, { pitchTrack, notes, drumPattern, descriptors = computeSpectralDescriptors(audioBuffer) }) {
+
+  // Harmonicity: mean YIN clarity over the audible frames
+  const maxRms = Math.max(...pitchTrack.map(f => f.rms), 0)
+  const audible = pitchTrack.filter(f => f.rms > maxRms * 0.1)
+  const voiced = audible.filter(f => f.frequency > 0)
+  const harmonicity = audible.length > 0
+    ? audible.reduce((sum, f) => sum + (f.frequency > 0 ? f.clarity : 0), 0) / audible.length
+    : 0
+  const voicedRatio = audible.length > 0 ? voiced.length / audible.length : 0
+
+  const voicedMs = voiced.length * PITCH_TRACK_HOP_MS
+  const noteMs = notes.reduce((sum, n) => sum + n.duration, 0)
+  const noteCoverage = voicedMs > 0 ? Math.min(1, noteMs / voicedMs) : 0
+  const pitches = voiced.map(f => f.frequency).sort((a, b) => a - b)
+  const medianF0 = pitches.length > 0 ? pitches[Math.floor(pitches.length / 2)] : 0
+
+  const clamp = (v) => Math.max(0, Math.min(1, v))
+  const { rolloff, flatness } = descriptors
+  const scores = {
+    whistling: voicedRatio * clamp((medianF0 - 500) / 400) * clamp(1 - flatness * 5),
+    beatboxing: Math.max(drumPattern ? 0.8 : 0, (1 - voicedRatio) * clamp(flatness * 4)),
+    humming: voicedRatio * clamp(noteCoverage * 1.5) * clamp((1800 - rolloff) / 800) * (medianF0 < 600 ? 1 : 0),
+    singing: voicedRatio * clamp(noteCoverage * 1.5) * clamp((rolloff - 1000) / 800) * (medianF0 < 800 ? 1 : 0),
+    speech: clamp(voicedRatio * 2) * clamp(1 - noteCoverage * 1.3) * (medianF0 < 500 ? 1 : 0),
   }
 
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX)
-  const avgPitch = sumY / n
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1])
+  const [[type, best], [, second]] = ranked
+  const confidence = best > 0 ? clamp(best * 0.5 + (best - second) / best * 0.5) : 0
+
+  return {
+    type: best > 0 ? type : 'humming',
+    confidence: Math.round(confidence * 100) / 100,
+    descriptors: {
+      ...descriptors,
+      harmonicity: Math.round(harmonicity * 100) / 100,
+      pitch: Math.round(medianF0 * 10) / 10,
+    },
+  }
+}
 
-  // Normalize slope relative to average pitch
-  const normalizedSlope = avgPitch > 0 ? slope / avgPitch : 0
+/**
+ * Wrap a 0-1 confidence score with the reason it is low, if it is.
+ */
+function featureConfidence(score, lowReason) {
+  const value = Math.round(Math.max(0, Math.min(1, score)) * 100) / 100
+  return { value, reason: value < LOW_CONFIDENCE ? lowReason : null }
+}
 
-  // Count direction changes for oscillation detection
-  let directionChanges = 0
-  for (let i = 2; i < segmentPitches.length; i++) {
-    const prev = segmentPitches[i - 1] - segmentPitches[i - 2]
-    const curr = segmentPitches[i] - segmentPitches[i - 1]
-    if ((prev > 0 && curr < 0) || (prev < 0 && curr > 0)) {
-      directionChanges++
+/**
+ * Score how much each analysed feature can be trusted.
+ * The level checks read `inputLevel` ({ peak, clipRatio } of the take before any
+ * gain was applied) when given, otherwise the buffer itself.
+ * Returns { tempo, meter, key, energy, rhythm, contour, range, inputType }, each { value, reason }.
+ */
+export function assessConfidence(audioBuffer, { tempoResult, pitchResult, meterResult, inputResult, notes, inputLevel = null }) {
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
+  let peak = 0
+  let clipped = 0
+  for (let i = 0; i < channelData.length; i++) {
+    const abs = Math.abs(channelData[i])
+    if (abs > peak) peak = abs
+    if (abs >= 0.99) clipped++
+  }
+  let clipRatio = channelData.length > 0 ? clipped / channelData.length : 0
+  if (inputLevel) ({ peak, clipRatio } = inputLevel)
+
+  const durationMs = (channelData.length / sampleRate) * 1000
+  const voicedMs = notes.reduce((sum, n) => sum + n.duration, 0)
+  const voicedRatio = durationMs > 0 ? voicedMs / durationMs : 0
+  const onsetCount = tempoResult.onsets.length
+
+  if (peak < SILENCE_PEAK) {
+    const reason = 'recording is near-silent'
+    return {
+      tempo: featureConfidence(0, reason),
+      meter: featureConfidence(0, reason),
+      key: featureConfidence(0, reason),
+      energy: featureConfidence(0, reason),
+      rhythm: featureConfidence(0, reason),
+      contour: featureConfidence(0, reason),
+      range: featureConfidence(0, reason),
+      inputType: featureConfidence(0, reason),
     }
   }
 
-  if (directionChanges >= 2) return 'oscillating'
-  if (normalizedSlope > 0.02) return 'ascending'
-  if (normalizedSlope < -0.02) return 'descending'
-  return 'oscillating'
+  let tempoReason = 'no clear pulse in the onsets'
+  if (onsetCount < 2) tempoReason = 'too few onsets'
+  else if (tempoResult.ambiguous) tempoReason = `could also be ${tempoResult.alternativeBpm} BPM`
+  const tempoScore = onsetCount < 2 ? 0 : tempoResult.confidence * (tempoResult.ambiguous ? 0.7 : 1)
+
+  let keyReason = `close to ${pitchResult.alternativeKeys[0]?.key || 'other keys'}`
+  if (voicedRatio < 0.2) keyReason = 'too little pitched audio'
+  const keyScore = pitchResult.keyConfidence * Math.min(1, voicedRatio / 0.3)
+
+  let energyScore = Math.min(1, peak / 0.1)
+  let energyReason = 'input level is very low'
+  if (clipRatio > 0.001) {
+    energyScore = Math.min(energyScore, 0.4)
+    energyReason = 'input is clipping'
+  }
+
+  return {
+    tempo: featureConfidence(tempoScore, tempoReason),
+    meter: featureConfidence(
+      Math.min(meterResult.confidence, tempoScore),
+      tempoResult.beats.length < METER_MIN_BEATS ? 'too few beats to hear a bar' : 'no clear accent pattern'
+    ),
+    key: featureConfidence(keyScore, keyReason),
+    energy: featureConfidence(energyScore, energyReason),
+    rhythm: featureConfidence(
+      Math.min((onsetCount - 2) / 6, tempoResult.confidence / LOW_CONFIDENCE),
+      onsetCount < 8 ? 'too few onsets to judge rhythm' : 'onsets have no steady pulse'
+    ),
+    contour: featureConfidence(
+      Math.min(notes.length / 3, voicedRatio / 0.3),
+      voicedRatio < 0.3 ? 'too little pitched audio' : 'too few distinct notes'
+    ),
+    range: featureConfidence(
+      Math.min(notes.length / 4, voicedRatio / 0.3),
+      voicedRatio < 0.3 ? 'too little pitched audio' : 'too few notes to span a range'
+    ),
+    inputType: featureConfidence(inputResult.confidence, 'sounds like a mix of input types'),
+  }
+}
+
+/**
+ * Whether a feature in analysis results should be treated as uncertain.
+ * Results without confidence data (older saved songs) count as certain.
+ */
+export function isUncertain(results, feature) {
+  const confidence = results?.confidence?.[feature]
+  return !!confidence && confidence.value < LOW_CONFIDENCE
 }
 
+/**
+ * Stages reported by analyzeAudioBuffer's onProgress callback, in run order.
+ */
+export const ANALYSIS_STAGES = [
+  { id: 'input', label: 'Preparing signal' },
+  { id: 'tempo', label: 'Tracking tempo' },
+  { id: 'meter', label: 'Detecting meter' },
+  { id: 'pitch', label: 'Estimating key' },
+  { id: 'dynamics', label: 'Measuring energy' },
+  { id: 'melody', label: 'Transcribing melody' },
+  { id: 'drums', label: 'Reading beatbox' },
+  { id: 'classification', label: 'Classifying input' },
+]
+
 /**
  * Run full analysis on an AudioBuffer and return all features.
+ * `onProgress` is called before each stage with { stage, label, progress },
+ * where progress is the fraction of stages already done.
+ * `tempoPrior` is the BPM of a click the take was recorded to, if any, counted
+ * like the metronome's beats (eighth notes in 6/8).
+ * `inputLevel` is the take's level before pre-processing, for the confidence checks.
+ * `loudness` is the take's loudness measured before normalisation; without it the
+ * buffer given here is measured.
  */
-export function analyzeAudioBuffer(audioBuffer) {
-  const tempoResult = detectTempo(audioBuffer)
+export function analyzeAudioBuffer(audioBuffer, { onProgress, tempoPrior = null, inputLevel = null, loudness: inputLoudness = null } = {}) {
+  const report = (stage) => {
+    if (!onProgress) return
+    const index = ANALYSIS_STAGES.findIndex(s => s.id === stage)
+    onProgress({ stage, label: ANALYSIS_STAGES[index].label, progress: index / ANALYSIS_STAGES.length })
+  }
+
+  report('input')
+  const signal = getAnalysisSignal(audioBuffer)
+  report('tempo')
+  const onsetStrength = computeOnsetStrength(audioBuffer)
+  const trackedTempo = detectTempo(audioBuffer, onsetStrength, { tempoPrior })
+  report('meter')
+  const meterResult = detectMeter(audioBuffer, onsetStrength, trackedTempo.beats, trackedTempo.bpm)
+  // From here on tempo and beats count the meter's beat unit: eighth notes in 6/8
+  const tempoResult = scaleTempoResult(trackedTempo, meterResult.beatScale)
+  report('pitch')
   const pitchResult = detectPitch(audioBuffer)
-  const energyResult = calculateEnergy(audioBuffer)
+  report('dynamics')
+  const descriptors = computeSpectralDescriptors(audioBuffer)
+  const energyResult = calculateEnergy(audioBuffer, descriptors)
+  const loudness = inputLoudness ?? measureLoudness(audioBuffer)
   const rhythm = classifyRhythm(tempoResult.onsets)
-  const contour = detectContour(audioBuffer)
+  report('melody')
+  const pitchTrack = trackPitch(audioBuffer)
+  const notes = segmentNotes(pitchTrack)
+  const contourResult = detectContour(audioBuffer, notes)
+  report('drums')
+  const drumPattern = detectDrumPattern(
+    audioBuffer,
+    tempoResult.onsets,
+    tempoResult.beats,
+    meterResult.beatsPerBar,
+    stepsPerBeatFor(meterResult.meter)
+  )
+  report('classification')
+  const inputResult = classifyInputType(audioBuffer, { pitchTrack, notes, drumPattern, descriptors })
+  const confidence = assessConfidence(audioBuffer, { tempoResult, pitchResult, meterResult, inputResult, notes, inputLevel })
+  // A beatbox has no sung range; a whistle's range says nothing about the voice
+  const vocalRange = inputResult.type === 'beatboxing'
+    ? null
+    : analyzeVocalRange(pitchTrack, notes, { voiced: inputResult.type !== 'whistling' })
 
+  // The dominant-pitch autocorrelation stops at 1 kHz, which drops whistles an octave or more;
+  // the YIN track covers their range
+  if (inputResult.type === 'whistling' && inputResult.descriptors.pitch > 0) {
+    pitchResult.frequency = inputResult.descriptors.pitch
+    pitchResult.note = midiToNoteName(frequencyToMidi(inputResult.descriptors.pitch)).replace(/-?\d+$/, '')
+  }
+
+  // tempo, beats and beatsPerBar share one beat unit: quarter notes, or eighth notes in 6/8
   return {
     tempo: tempoResult.bpm,
+    tempoAmbiguous: tempoResult.ambiguous,
+    alternativeTempo: tempoResult.alternativeBpm,
+    tempoCurve: tempoResult.tempoCurve,
+    tempoPrior,
+    beats: tempoResult.beats,
+    meter: meterResult.meter,
+    beatsPerBar: meterResult.beatsPerBar,
     key: pitchResult.key,
+    tonic: pitchResult.tonic,
+    mode: pitchResult.mode,
+    alternativeKeys: pitchResult.alternativeKeys,
     note: pitchResult.note,
     frequency: pitchResult.frequency,
     energy: energyResult.energy,
     energyLevel: energyResult.level,
+    loudness,
     rhythm,
-    contour,
+    contour: contourResult.label,
+    parsons: contourResult.parsons,
+    intervals: contourResult.intervals,
+    notes,
+    drumPattern,
+    vocalRange,
+    inputType: inputResult.type,
+    timbre: inputResult.descriptors,
+    source: {
+      sampleRate: audioBuffer.sampleRate,
+      numberOfChannels: audioBuffer.numberOfChannels,
+      channelStrategy: signal.strategy,
+      channelsUsed: signal.channels,
+    },
+    confidence,
+  }
+}
+
+// Features each part of a layered recording is trusted for
+const RHYTHM_PART_FEATURES = ['tempo', 'meter', 'rhythm']
+const MELODY_PART_FEATURES = ['key', 'contour', 'range', 'inputType']
+
+// Move an analysis's beat, tempo-curve and drum-hit times (ms) by `shiftMs`
+function shiftRhythmTimes(results, shiftMs) {
+  if (!shiftMs) return results
+  const shift = (time) => time + shiftMs
+  return {
+    ...results,
+    beats: results.beats.map(shift),
+    tempoCurve: results.tempoCurve.map(point => ({ ...point, time: shift(point.time) })),
+    drumPattern: results.drumPattern && {
+      ...results.drumPattern,
+      hits: results.drumPattern.hits.map(hit => ({ ...hit, time: shift(hit.time) })),
+    },
+  }
+}
+
+/**
+ * Merge the analyses of two parts recorded over each other into one result:
+ * pitch features (key, notes, contour, range) from the melody part; tempo,
+ * meter, rhythm and drum pattern from the rhythm part, so tempo, beats and
+ * beatsPerBar keep its beat unit together; energy from whichever
+ * part is livelier. A beatboxed part is always taken as the rhythm, so the
+ * parts can come in either order; otherwise the second part is the rhythm.
+ * `layers` records which input supplied each role, as { melody, rhythm } indexes.
+ *
+ * `secondOffsetMs` is where the second part's audio starts on the first part's
+ * clock. Each analysis counts time from its own trimmed start, so the rhythm
+ * part's times are moved onto the melody part's clock, which the result keeps.
+ */
+export function mergeLayeredAnalyses(first, second, secondOffsetMs = 0) {
+  const secondIsMelody = first.inputType === 'beatboxing' && second.inputType !== 'beatboxing'
+  const origin = (results, offsetMs) => offsetMs + (results.preprocessing?.trimmedStartMs || 0)
+  const firstOrigin = origin(first, 0)
+  const secondOrigin = origin(second, secondOffsetMs)
+  const melody = secondIsMelody ? second : first
+  const rhythm = secondIsMelody
+    ? shiftRhythmTimes(first, firstOrigin - secondOrigin)
+    : shiftRhythmTimes(second, secondOrigin - firstOrigin)
+  const livelier = rhythm.energy > melody.energy ? rhythm : melody
+
+  const confidence = { energy: livelier.confidence?.energy }
+  for (const feature of RHYTHM_PART_FEATURES) confidence[feature] = rhythm.confidence?.[feature]
+  for (const feature of MELODY_PART_FEATURES) confidence[feature] = melody.confidence?.[feature]
+
+  return {
+    ...melody,
+    tempo: rhythm.tempo,
+    tempoAmbiguous: rhythm.tempoAmbiguous,
+    alternativeTempo: rhythm.alternativeTempo,
+    tempoCurve: rhythm.tempoCurve,
+    tempoPrior: rhythm.tempoPrior,
+    beats: rhythm.beats,
+    meter: rhythm.meter,
+    beatsPerBar: rhythm.beatsPerBar,
+    rhythm: rhythm.rhythm,
+    drumPattern: rhythm.drumPattern,
+    energy: livelier.energy,
+    energyLevel: livelier.energyLevel,
+    confidence,
+    layers: { melody: secondIsMelody ? 1 : 0, rhythm: secondIsMelody ? 0 : 1 },
   }
 }
 
 /**
  * Build a human-readable description string from analysis results.
+ * Uncertain features are hedged; features with very low confidence are left out.
  */
 export function buildAnalysisText(results) {
-  return `${results.tempo} BPM, ${results.key}, ${results.energyLevel} energy, ${results.rhythm} rhythm, ${results.contour} melody`
+  const describe = (feature, certain, hedged) => {
+    const value = results.confidence?.[feature]?.value
+    if (value == null || value >= LOW_CONFIDENCE) return certain
+    if (value >= OMIT_CONFIDENCE) return hedged
+    return null
+  }
+
+  const inputType = isUncertain(results, 'inputType') ? null : results.inputType
+  const melodyLabel = INPUT_MELODY_LABELS[inputType] || 'melody'
+  const drums = describeDrumPattern(results.drumPattern)
+  const groove = drums && !isUncertain(results, 'rhythm') ? `beatboxed groove with ${drums}` : null
+
+  const tempo = describe('tempo', `${results.tempo} BPM`, `around ${results.tempo} BPM`)
+  const meter = results.meter && results.meter !== '4/4'
+    ? describe('meter', `${results.meter} time`, `possibly ${results.meter} time`)
+    : null
+  const key = describe('key', results.key, `possibly ${results.key}`)
+  const energy = describe('energy', `${results.energyLevel} energy`, `likely ${results.energyLevel} energy`)
+  const rhythm = describe('rhythm', `${results.rhythm} rhythm`, `loosely ${results.rhythm} rhythm`)
+  const contour = describe('contour', `${results.contour} ${melodyLabel}`, `roughly ${results.contour} ${melodyLabel}`)
+
+  // A beatbox carries rhythm, not pitch: lead with the groove and drop key and melody
+  const parts = inputType === 'beatboxing'
+    ? ['rhythm-driven beatbox input', groove, tempo, meter, rhythm, energy]
+    : [tempo, meter, key, energy, rhythm, contour, groove]
+  if (inputType === 'speech') parts.push('spoken-word delivery')
+
+  const text = parts.filter(Boolean)
+  return text.length > 0 ? text.join(', ') : 'free-form hummed idea'
 }
@@ -0,0 +1,69 @@
+/**
+ * Recording from the microphone and turning recordings and files into audio
+ * the analysers can read. Shared by the recorder and hum search.
+ */
+
+import { openInputStream } from './inputSettings.js'
+
+// How often the MediaRecorder hands over a chunk
+const CHUNK_MS = 100
+
+/**
+ * Open the microphone with the given input settings and prepare a recording of
+ * it. Nothing is captured until start(); stop() ends the recording, releases the
+ * microphone and passes the recording to onComplete(blob). cancel() releases
+ * everything without calling onComplete.
+ */
+export async function openCapture(settings, { onComplete }) {
+  const stream = await openInputStream(settings)
+  const recorder = new MediaRecorder(stream)
+  const chunks = []
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data)
+  }
+  recorder.onstop = () => onComplete(new Blob(chunks, { type: 'audio/webm' }))
+
+  const release = () => {
+    if (recorder.state !== 'inactive') recorder.stop()
+    stream.getTracks().forEach(t => t.stop())
+  }
+
+  return {
+    stream,
+    start() {
+      recorder.start(CHUNK_MS)
+    },
+    stop: release,
+    cancel() {
+      recorder.onstop = null
+      release()
+    },
+  }
+}
+
+/**
+ * What to tell the user when the microphone could not be opened or recorded.
+ */
+export function captureErrorMessage(err) {
+  if (err.name === 'NotAllowedError') {
+    return 'Microphone access denied. Please allow microphone access and try again.'
+  }
+  if (err.name === 'NotFoundError') {
+    return 'No microphone found. Please connect a microphone and try again.'
+  }
+  return `Recording failed: ${err.message}`
+}
+
+/**
+ * Decode an audio file or recording with a temporary audio context.
+ */
+export async function decodeAudioBlob(blob) {
+  const arrayBuffer = await blob.arrayBuffer()
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)()
+  try {
+    return await audioContext.decodeAudioData(arrayBuffer)
+  } finally {
+    await audioContext.close()
+  }
+}
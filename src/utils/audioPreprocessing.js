@@ -0,0 +1,185 @@
+/**
+ * Pre-processing applied to recordings before analysis: DC offset removal,
+ * high-pass filtering, silence trimming and peak normalisation.
+ * Takes Web Audio API AudioBuffers (or compatible objects) and returns a new
+ * AudioBuffer-compatible object, leaving the input untouched.
+ */
+
+import { createAnalysisBuffer } from './analysisInput.js'
+import { measureLoudness } from './loudness.js'
+
+export const DEFAULT_PREPROCESSING = {
+  removeDcOffset: true,
+  highPass: true,
+  highPassCutoff: 70, // Hz — below the lowest hummed fundamentals, above mic rumble
+  trimSilence: true,
+  silenceThresholdDb: -40, // relative to the loudest 10ms frame
+  trimPaddingMs: 50,
+  normalize: true,
+  targetPeakDb: -1,
+}
+
+// Samples at or above this magnitude count as clipped
+const CLIP_LEVEL = 0.99
+
+/**
+ * Peak magnitude and fraction of clipped samples across all channels.
+ */
+function measureInputLevel(channels) {
+  let peak = 0
+  let clipped = 0
+  let total = 0
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      const abs = Math.abs(data[i])
+      if (abs > peak) peak = abs
+      if (abs >= CLIP_LEVEL) clipped++
+    }
+    total += data.length
+  }
+  return { peak, clipRatio: total > 0 ? clipped / total : 0 }
+}
+
+function removeDcOffset(channels) {
+  return channels.map(data => {
+    let sum = 0
+    for (let i = 0; i < data.length; i++) sum += data[i]
+    const mean = data.length > 0 ? sum / data.length : 0
+    for (let i = 0; i < data.length; i++) data[i] -= mean
+    return mean
+  })
+}
+
+/**
+ * Second-order Butterworth high-pass (RBJ biquad), applied in place.
+ */
+function highPass(data, sampleRate, cutoff) {
+  const w0 = 2 * Math.PI * cutoff / sampleRate
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2)
+  const cos = Math.cos(w0)
+  const a0 = 1 + alpha
+  const b0 = ((1 + cos) / 2) / a0
+  const b1 = -(1 + cos) / a0
+  const b2 = ((1 + cos) / 2) / a0
+  const a1 = (-2 * cos) / a0
+  const a2 = (1 - alpha) / a0
+
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0
+  for (let i = 0; i < data.length; i++) {
+    const x = data[i]
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2
+    x2 = x1
+    x1 = x
+    y2 = y1
+    y1 = y
+    data[i] = y
+  }
+}
+
+/**
+ * Find the audible region: the first and last 10ms frames (across all channels)
+ * within `thresholdDb` of the loudest frame. Returns null if nothing is audible.
+ */
+function findAudibleRegion(channels, sampleRate, thresholdDb) {
+  const frameSize = Math.max(1, Math.floor(sampleRate * 0.01))
+  const length = channels[0].length
+  const frameRms = []
+  for (let start = 0; start < length; start += frameSize) {
+    const end = Math.min(length, start + frameSize)
+    let sum = 0
+    for (const data of channels) {
+      for (let i = start; i < end; i++) sum += data[i] * data[i]
+    }
+    frameRms.push(Math.sqrt(sum / ((end - start) * channels.length)))
+  }
+
+  const loudest = Math.max(...frameRms, 0)
+  if (loudest === 0) return null
+  const threshold = loudest * 10 ** (thresholdDb / 20)
+
+  const first = frameRms.findIndex(rms => rms >= threshold)
+  let last = frameRms.length - 1
+  while (last > first && frameRms[last] < threshold) last--
+
+  return { start: first * frameSize, end: Math.min(length, (last + 1) * frameSize) }
+}
+
+/**
+ * Run the pre-processing chain on an AudioBuffer.
+ * Steps can be switched off or tuned via `options` (see DEFAULT_PREPROCESSING).
+ * Returns { audioBuffer, report, loudness }; the report says what each step did
+ * and keeps the untouched input's level (`inputLevel`: { peak, clipRatio }), since
+ * normalisation hides how quiet or clipped the take really was. For the same
+ * reason `loudness` (see measureLoudness) is measured just before normalisation.
+ */
+export function preprocessAudioBuffer(audioBuffer, options = {}) {
+  const config = { ...DEFAULT_PREPROCESSING, ...options }
+  const sampleRate = audioBuffer.sampleRate
+  let channels = []
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(Float32Array.from(audioBuffer.getChannelData(c)))
+  }
+
+  const report = {
+    originalDurationMs: Math.round(audioBuffer.duration * 1000),
+    dcOffset: 0,
+    highPassCutoff: null,
+    trimmedStartMs: 0,
+    trimmedEndMs: 0,
+    gainDb: 0,
+    inputLevel: measureInputLevel(channels),
+  }
+
+  if (config.removeDcOffset) {
+    const offsets = removeDcOffset(channels)
+    report.dcOffset = Math.round(Math.max(...offsets.map(Math.abs)) * 10000) / 10000
+  }
+
+  if (config.highPass) {
+    channels.forEach(data => highPass(data, sampleRate, config.highPassCutoff))
+    report.highPassCutoff = config.highPassCutoff
+  }
+
+  if (config.trimSilence && channels[0].length > 0) {
+    const region = findAudibleRegion(channels, sampleRate, config.silenceThresholdDb)
+    if (region) {
+      const padding = Math.round(sampleRate * config.trimPaddingMs / 1000)
+      const start = Math.max(0, region.start - padding)
+      const end = Math.min(channels[0].length, region.end + padding)
+      report.trimmedStartMs = Math.round((start / sampleRate) * 1000)
+      report.trimmedEndMs = Math.round(((channels[0].length - end) / sampleRate) * 1000)
+      channels = channels.map(data => data.slice(start, end))
+    }
+  }
+
+  const loudness = measureLoudness(createAnalysisBuffer(channels, sampleRate))
+
+  if (config.normalize) {
+    let peak = 0
+    for (const data of channels) {
+      for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]))
+    }
+    if (peak > 0) {
+      const gain = 10 ** (config.targetPeakDb / 20) / peak
+      channels.forEach(data => {
+        for (let i = 0; i < data.length; i++) data[i] *= gain
+      })
+      report.gainDb = Math.round(20 * Math.log10(gain) * 10) / 10
+    }
+  }
+
+  return { audioBuffer: createAnalysisBuffer(channels, sampleRate), report, loudness }
+}
+
+/**
+ * Short human-readable summary of a pre-processing report.
+ */
+export function describePreprocessing(report) {
+  if (!report) return ''
+  const parts = []
+  if (report.trimmedStartMs > 0) parts.push(`trimmed ${(report.trimmedStartMs / 1000).toFixed(1)}s lead-in`)
+  if (report.trimmedEndMs > 0) parts.push(`trimmed ${(report.trimmedEndMs / 1000).toFixed(1)}s tail`)
+  if (report.gainDb !== 0) parts.push(`${report.gainDb > 0 ? '+' : ''}${report.gainDb} dB gain`)
+  if (report.highPassCutoff) parts.push(`high-passed at ${report.highPassCutoff} Hz`)
+  return parts.join(', ')
+}
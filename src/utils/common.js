@@ -0,0 +1,20 @@
+/**
+ * Small helpers shared by the analysis modules: pitch-class names and order
+ * statistics.
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+/**
+ * Nearest-rank percentile of a list of numbers (fraction 0–1); null when empty.
+ * The input is not modified.
+ */
+export function percentile(values, fraction) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * (sorted.length - 1) + 0.5))]
+}
+
+export function median(values) {
+  return percentile(values, 0.5)
+}
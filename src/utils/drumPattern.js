@@ -0,0 +1,215 @@
+/**
+ * Beatbox analysis: classifies onsets as kick, snare or hi-hat from the
+ * spectrum around each hit, and quantises them to the beat grid as a step pattern.
+ * All functions operate on Web Audio API AudioBuffer objects.
+ */
+
+import { getAnalysisSignal } from './analysisInput.js'
+import { fft, hannWindow } from './dsp.js'
+
+export const DRUM_TYPES = ['kick', 'snare', 'hihat']
+
+export const DRUM_LABELS = { kick: 'kick', snare: 'snare', hihat: 'hi-hat' }
+
+const HIT_WINDOW_MS = 40
+// Onset times are frame-centred; start a little early so the attack is included
+const PRE_ONSET_MS = 10
+// Sixteenth-note steps: four per quarter-note beat, two per eighth-note beat (x/8 meters)
+const STEPS_PER_BEAT = 4
+const STEPS_PER_EIGHTH_BEAT = 2
+const BEATS_PER_BAR = 4
+
+// Hits whose energy hasn't decayed after this long are sustained (hummed) notes
+const DECAY_EARLY_MS = 50
+const DECAY_LATE_MS = 150
+const MIN_DECAY_RATIO = 1.8
+
+// A recording only counts as beatboxed when most onsets are percussive
+const MIN_HITS = 4
+const MIN_PERCUSSIVE_RATIO = 0.5
+
+function windowEnergy(channelData, start, length) {
+  let sum = 0
+  const end = Math.min(channelData.length, start + length)
+  for (let i = Math.max(0, start); i < end; i++) sum += channelData[i] * channelData[i]
+  return sum / Math.max(1, end - start)
+}
+
+/**
+ * Classify a single hit starting at `onsetMs`. Returns 'kick', 'snare',
+ * 'hihat', or null when the sound is sustained rather than percussive.
+ */
+export function classifyHit(audioBuffer, onsetMs) {
+  const { data: channelData, sampleRate } = getAnalysisSignal(audioBuffer)
+  const start = Math.max(0, Math.round(((onsetMs - PRE_ONSET_MS) / 1000) * sampleRate))
+
+  const early = windowEnergy(channelData, start, Math.round(sampleRate * DECAY_EARLY_MS / 1000))
+  const late = windowEnergy(
+    channelData,
+    start + Math.round(sampleRate * DECAY_EARLY_MS / 1000),
+    Math.round(sampleRate * (DECAY_LATE_MS - DECAY_EARLY_MS) / 1000)
+  )
+  if (early === 0 || early / Math.max(late, 1e-12) < MIN_DECAY_RATIO) return null
+
+  const frameSize = 2 ** Math.round(Math.log2(sampleRate * HIT_WINDOW_MS / 1000))
+  const window = hannWindow(frameSize)
+  const re = new Float32Array(frameSize)
+  const im = new Float32Array(frameSize)
+  for (let i = 0; i < frameSize && start + i < channelData.length; i++) {
+    re[i] = channelData[start + i] * window[i]
+  }
+  fft(re, im)
+
+  let total = 0, low = 0, high = 0, weighted = 0
+  for (let k = 1; k < frameSize / 2; k++) {
+    const freq = (k * sampleRate) / frameSize
+    const power = re[k] * re[k] + im[k] * im[k]
+    total += power
+    weighted += freq * power
+    if (freq < 200) low += power
+    else if (freq > 5000) high += power
+  }
+  if (total === 0) return null
+
+  const centroid = weighted / total
+  if (low / total > 0.5 || centroid < 600) return 'kick'
+  if (high / total > 0.35 || centroid > 4500) return 'hihat'
+  return 'snare'
+}
+
+/**
+ * Classify every onset. Returns [{ time, type }] with sustained sounds dropped.
+ */
+export function classifyDrumHits(audioBuffer, onsets) {
+  return onsets
+    .map(time => ({ time, type: classifyHit(audioBuffer, time) }))
+    .filter(hit => hit.type !== null)
+}
+
+/**
+ * The beat tracker doesn't know where the bar starts, so rotate the pattern to the
+ * most conventional downbeat: a kick on step 1, kicks on beats, snares on the backbeat.
+ */
+function alignToDownbeat(pattern, steps, beatsPerBar, stepsPerBeat) {
+  const barSteps = beatsPerBar * stepsPerBeat
+  const backbeats = beatsPerBar === 4 ? [stepsPerBeat, 3 * stepsPerBeat] : []
+  const kickSteps = pattern.kick.flatMap((active, step) => (active ? [step] : []))
+  const candidates = kickSteps.length > 0
+    ? kickSteps
+    : Array.from({ length: steps / stepsPerBeat }, (_, beat) => beat * stepsPerBeat)
+
+  const score = (rotation) => {
+    let total = 0
+    for (const type of DRUM_TYPES) {
+      pattern[type].forEach((active, step) => {
+        if (!active) return
+        const barStep = (((step - rotation) % steps) + steps) % steps % barSteps
+        if (type === 'kick' && barStep === 0) total += 3
+        if (type === 'kick' && barStep % stepsPerBeat === 0) total += 1
+        if (type === 'snare' && backbeats.includes(barStep)) total += 2
+        if (barStep % 2 === 1) total -= 0.5
+      })
+    }
+    return total
+  }
+
+  let best = candidates[0]
+  for (const rotation of candidates) {
+    if (score(rotation) > score(best)) best = rotation
+  }
+
+  return Object.fromEntries(DRUM_TYPES.map(type => [
+    type,
+    pattern[type].map((_, step) => pattern[type][(step + best) % steps]),
+  ]))
+}
+
+/**
+ * Steps per beat that make a 16th-note grid for a meter: x/8 beats are eighths.
+ */
+export function stepsPerBeatFor(meter) {
+  return meter?.endsWith('/8') ? STEPS_PER_EIGHTH_BEAT : STEPS_PER_BEAT
+}
+
+/**
+ * Quantise drum hits onto a 16th-note step grid derived from the beat timestamps.
+ * The pattern is 1 bar long, or 2 when the recording covers at least 2 bars;
+ * longer recordings fold onto it so repeated hits reinforce the same steps.
+ * Returns null when there is no beat grid or no hits.
+ */
+export function quantizeDrumPattern(hits, beats, beatsPerBar = BEATS_PER_BAR, stepsPerBeat = STEPS_PER_BEAT) {
+  if (!hits.length || beats.length < 2) return null
+
+  const intervals = []
+  for (let i = 1; i < beats.length; i++) intervals.push(beats[i] - beats[i - 1])
+  intervals.sort((a, b) => a - b)
+  const beatMs = intervals[Math.floor(intervals.length / 2)]
+  const stepMs = beatMs / stepsPerBeat
+
+  const bars = beats.length >= beatsPerBar * 2 ? 2 : 1
+  const steps = bars * beatsPerBar * stepsPerBeat
+
+  const pattern = Object.fromEntries(DRUM_TYPES.map(type => [type, new Array(steps).fill(false)]))
+  for (const hit of hits) {
+    const step = Math.round((hit.time - beats[0]) / stepMs)
+    pattern[hit.type][((step % steps) + steps) % steps] = true
+  }
+
+  return {
+    steps,
+    bars,
+    beatsPerBar,
+    stepsPerBeat,
+    pattern: alignToDownbeat(pattern, steps, beatsPerBar, stepsPerBeat),
+  }
+}
+
+/**
+ * Full beatbox analysis: classify onsets and quantise them to the beat grid.
+ * Returns null when the recording isn't mostly percussive.
+ */
+export function detectDrumPattern(audioBuffer, onsets, beats, beatsPerBar = BEATS_PER_BAR, stepsPerBeat = STEPS_PER_BEAT) {
+  const hits = classifyDrumHits(audioBuffer, onsets)
+  if (hits.length < MIN_HITS || hits.length < onsets.length * MIN_PERCUSSIVE_RATIO) return null
+
+  const grid = quantizeDrumPattern(hits, beats, beatsPerBar, stepsPerBeat)
+  return grid ? { ...grid, hits } : null
+}
+
+/**
+ * Counting label for a step within a bar: "1", "1e", "1&", "1a".
+ */
+function stepLabel(step, stepsPerBeat) {
+  const beat = Math.floor(step / stepsPerBeat) + 1
+  const subdivision = ['', 'e', '&', 'a'][Math.round((step % stepsPerBeat) * 4 / stepsPerBeat)]
+  return `${beat}${subdivision}`
+}
+
+/**
+ * Describe a drum pattern for the music prompt,
+ * e.g. "kick on 1, 3; snare on 2, 4; hi-hat on straight eighths".
+ */
+export function describeDrumPattern(drumPattern) {
+  if (!drumPattern) return ''
+  const { pattern, beatsPerBar, stepsPerBeat } = drumPattern
+  const barSteps = beatsPerBar * stepsPerBeat
+
+  const parts = []
+  for (const type of DRUM_TYPES) {
+    // Describe the first bar; a second bar is usually a variation
+    const active = []
+    for (let step = 0; step < barSteps; step++) {
+      if (pattern[type][step]) active.push(step)
+    }
+    if (active.length === 0) continue
+
+    if (active.length === barSteps) {
+      parts.push(`${DRUM_LABELS[type]} on straight sixteenths`)
+    } else if (active.length === barSteps / 2 && active.every(step => step % 2 === 0)) {
+      parts.push(`${DRUM_LABELS[type]} on straight eighths`)
+    } else {
+      parts.push(`${DRUM_LABELS[type]} on ${active.map(step => stepLabel(step, stepsPerBeat)).join(', ')}`)
+    }
+  }
+  return parts.join('; ')
+}
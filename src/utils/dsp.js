@@ -0,0 +1,51 @@
+/**
+ * Shared DSP primitives for the analysis modules.
+ */
+
+/**
+ * In-place iterative radix-2 FFT. `re` and `im` must have a power-of-two length.
+ */
+export function fft(re, im) {
+  const n = re.length
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]]
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1
+    const angle = -2 * Math.PI / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k)
+        const sin = Math.sin(angle * k)
+        const a = start + k
+        const b = a + half
+        const tRe = re[b] * cos - im[b] * sin
+        const tIm = re[b] * sin + im[b] * cos
+        re[b] = re[a] - tRe
+        im[b] = im[a] - tIm
+        re[a] += tRe
+        im[a] += tIm
+      }
+    }
+  }
+}
+
+/**
+ * Hann window of the given length.
+ */
+export function hannWindow(size) {
+  const window = new Float32Array(size)
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1))
+  }
+  return window
+}
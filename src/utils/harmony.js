@@ -0,0 +1,359 @@
+/**
+ * Harmonisation: proposes a chord per bar for a transcribed melody in a known key,
+ * plus genre-flavoured alternative progressions ranked by how well they fit the hum.
+ * Works on analysis results (key, notes, beats), so it runs without the audio.
+ */
+
+import { NOTE_NAMES, median } from './common.js'
+
+const QUALITIES = {
+  maj: { intervals: [0, 4, 7], suffix: '' },
+  min: { intervals: [0, 3, 7], suffix: 'm' },
+  dim: { intervals: [0, 3, 6], suffix: 'dim' },
+  dom7: { intervals: [0, 4, 7, 10], suffix: '7' },
+  maj7: { intervals: [0, 4, 7, 11], suffix: 'maj7' },
+  min7: { intervals: [0, 3, 7, 10], suffix: 'm7' },
+  m7b5: { intervals: [0, 3, 6, 10], suffix: 'm7b5' },
+}
+
+// [roman numeral, semitones above the tonic, quality]
+const CHORDS = {
+  major: {
+    triads: [
+      ['I', 0, 'maj'], ['ii', 2, 'min'], ['iii', 4, 'min'], ['IV', 5, 'maj'],
+      ['V', 7, 'maj'], ['vi', 9, 'min'], ['vii°', 11, 'dim'],
+    ],
+    sevenths: [
+      ['Imaj7', 0, 'maj7'], ['ii7', 2, 'min7'], ['iii7', 4, 'min7'], ['IVmaj7', 5, 'maj7'],
+      ['V7', 7, 'dom7'], ['vi7', 9, 'min7'], ['viiø7', 11, 'm7b5'],
+    ],
+    borrowed: [['bVII', 10, 'maj']],
+  },
+  minor: {
+    triads: [
+      ['i', 0, 'min'], ['ii°', 2, 'dim'], ['III', 3, 'maj'], ['iv', 5, 'min'],
+      ['v', 7, 'min'], ['V', 7, 'maj'], ['VI', 8, 'maj'], ['VII', 10, 'maj'],
+    ],
+    sevenths: [
+      ['i7', 0, 'min7'], ['iiø7', 2, 'm7b5'], ['IIImaj7', 3, 'maj7'], ['iv7', 5, 'min7'],
+      ['V7', 7, 'dom7'], ['VImaj7', 8, 'maj7'], ['VII7', 10, 'dom7'],
+    ],
+    borrowed: [],
+  },
+}
+
+/**
+ * Per-genre harmonic language: whether chords carry sevenths, whether borrowed
+ * chords are in play, and stock progressions offered as alternatives.
+ */
+const HARMONY_STYLES = {
+  pop: {
+    name: 'pop',
+    sevenths: false,
+    borrowed: false,
+    templates: {
+      major: [['I', 'V', 'vi', 'IV'], ['vi', 'IV', 'I', 'V'], ['I', 'IV', 'V', 'IV']],
+      minor: [['i', 'VI', 'III', 'VII'], ['i', 'iv', 'VI', 'V']],
+    },
+  },
+  jazz: {
+    name: 'jazz',
+    sevenths: true,
+    borrowed: false,
+    templates: {
+      major: [['ii7', 'V7', 'Imaj7', 'Imaj7'], ['Imaj7', 'vi7', 'ii7', 'V7'], ['iii7', 'vi7', 'ii7', 'V7']],
+      minor: [['iiø7', 'V7', 'i7', 'i7'], ['i7', 'iv7', 'iiø7', 'V7']],
+    },
+  },
+  lofi: {
+    name: 'lo-fi',
+    sevenths: true,
+    borrowed: false,
+    templates: {
+      major: [['IVmaj7', 'iii7', 'vi7', 'V7'], ['ii7', 'V7', 'Imaj7', 'vi7'], ['Imaj7', 'IVmaj7', 'iii7', 'vi7']],
+      minor: [['i7', 'iv7', 'VImaj7', 'V7'], ['VImaj7', 'iv7', 'i7', 'V7']],
+    },
+  },
+  rock: {
+    name: 'rock',
+    sevenths: false,
+    borrowed: true,
+    templates: {
+      major: [['I', 'bVII', 'IV', 'I'], ['I', 'IV', 'V', 'IV'], ['I', 'V', 'IV', 'IV']],
+      minor: [['i', 'VII', 'VI', 'VII'], ['i', 'III', 'VII', 'iv']],
+    },
+  },
+  folk: {
+    name: 'folk',
+    sevenths: false,
+    borrowed: false,
+    templates: {
+      major: [['I', 'IV', 'I', 'V'], ['I', 'vi', 'IV', 'V'], ['IV', 'I', 'V', 'vi']],
+      minor: [['i', 'III', 'VII', 'iv'], ['i', 'VII', 'VI', 'V']],
+    },
+  },
+  electronic: {
+    name: 'electronic',
+    sevenths: false,
+    borrowed: false,
+    templates: {
+      major: [['vi', 'IV', 'I', 'V'], ['I', 'V', 'vi', 'IV'], ['IV', 'V', 'iii', 'vi']],
+      minor: [['i', 'VI', 'III', 'VII'], ['i', 'VII', 'VI', 'VII'], ['i', 'iv', 'VI', 'V']],
+    },
+  },
+}
+
+const GENRE_STYLES = {
+  'Lo-fi Hip Hop': 'lofi',
+  'Energetic EDM': 'electronic',
+  'Sad Jazz': 'jazz',
+  'Upbeat Rock': 'rock',
+  'Dreamy Shoegaze': 'pop',
+  'Trap Beats': 'electronic',
+  'Indie Folk': 'folk',
+  'Synthwave': 'electronic',
+}
+
+const MAX_BARS = 8
+const MAX_ALTERNATIVES = 2
+// Melody on non-chord tones counts against a chord, but passing tones are normal
+const NON_CHORD_TONE_PENALTY = 0.5
+const DOWNBEAT_BONUS = 0.15
+const START_ON_TONIC_BONUS = 0.2
+const END_ON_TONIC_BONUS = 0.1
+const CADENCE_BONUS = 0.15
+const STEP_BONUS = 0.05
+const REPEAT_PENALTY = 0.1
+
+/**
+ * The chord vocabulary for a key and style, each chord with its pitch classes and symbol.
+ */
+function chordVocabulary(tonicPc, mode, style) {
+  const table = CHORDS[mode]
+  const entries = [
+    ...(style.sevenths ? table.sevenths : table.triads),
+    ...(style.borrowed ? table.borrowed : []),
+  ]
+  return entries.map(([roman, interval, quality]) => {
+    const rootPc = (tonicPc + interval) % 12
+    return {
+      roman,
+      interval,
+      rootPc,
+      symbol: `${NOTE_NAMES[rootPc]}${QUALITIES[quality].suffix}`,
+      pitchClasses: QUALITIES[quality].intervals.map(i => (rootPc + i) % 12),
+    }
+  })
+}
+
+/**
+ * A chord by roman numeral in any style's vocabulary for this key.
+ */
+function chordByRoman(tonicPc, mode, roman) {
+  for (const sevenths of [false, true]) {
+    const chord = chordVocabulary(tonicPc, mode, { sevenths, borrowed: true }).find(c => c.roman === roman)
+    if (chord) return chord
+  }
+  return null
+}
+
+/**
+ * Bar boundaries (ms) covering the melody, on the tracked beat grid when there is
+ * one and from the tempo otherwise. `phase` shifts the first downbeat by whole beats.
+ */
+function barGrid(notes, { beats, tempo, beatsPerBar }, phase) {
+  const intervals = []
+  for (let i = 1; i < (beats?.length || 0); i++) intervals.push(beats[i] - beats[i - 1])
+  const beatMs = intervals.length > 0 ? median(intervals) : 60000 / (tempo || 120)
+  const barMs = beatMs * beatsPerBar
+
+  const firstOnset = notes[0].onset
+  const lastEnd = Math.max(...notes.map(n => n.onset + n.duration))
+  // Anchor on the beat grid, then step back to the bar containing the first note
+  let start = (beats?.length ? beats[0] : firstOnset) + phase * beatMs
+  while (start > firstOnset) start -= barMs
+  while (start + barMs <= firstOnset) start += barMs
+
+  // Less than a beat of melody before the next barline is a pickup, not a bar of its own
+  const pickup = notes.reduce((sum, n) => (
+    sum + Math.max(0, Math.min(start + barMs, n.onset + n.duration) - Math.max(start, n.onset))
+  ), 0)
+  if (pickup < beatMs && start + barMs < lastEnd) start += barMs
+
+  const bars = []
+  for (let t = start; t < lastEnd && bars.length < MAX_BARS; t += barMs) bars.push({ start: t, end: t + barMs })
+  return bars
+}
+
+/**
+ * Duration-weighted pitch-class profile of the melody inside each bar,
+ * plus the pitch class sounding on the downbeat.
+ */
+function barProfiles(notes, bars) {
+  return bars.map(({ start, end }) => {
+    const weights = new Array(12).fill(0)
+    let downbeatPc = null
+    for (const note of notes) {
+      const overlap = Math.min(end, note.onset + note.duration) - Math.max(start, note.onset)
+      if (overlap <= 0) continue
+      weights[((note.midi % 12) + 12) % 12] += overlap
+      if (note.onset <= start + (end - start) * 0.125 && note.onset + note.duration > start) {
+        downbeatPc = ((note.midi % 12) + 12) % 12
+      }
+    }
+    const total = weights.reduce((a, b) => a + b, 0)
+    return { weights: total > 0 ? weights.map(w => w / total) : weights, downbeatPc, empty: total === 0 }
+  })
+}
+
+/**
+ * How well a chord harmonises one bar: chord-tone share minus a penalty for the rest.
+ */
+function chordFit(chord, profile) {
+  if (profile.empty) return 0
+  let inside = 0
+  for (const pc of chord.pitchClasses) inside += profile.weights[pc]
+  let score = inside - (1 - inside) * NON_CHORD_TONE_PENALTY
+  if (profile.downbeatPc !== null && chord.pitchClasses.includes(profile.downbeatPc)) score += DOWNBEAT_BONUS
+  return score
+}
+
+function transitionScore(from, to) {
+  if (from.roman === to.roman) return -REPEAT_PENALTY
+  const motion = (to.rootPc - from.rootPc + 12) % 12
+  // Root down a fifth (V→I, ii→V) is the strongest pull; stepwise motion (IV→V) is smooth
+  if (motion === 5) return CADENCE_BONUS
+  if (motion === 2 || motion === 10) return STEP_BONUS
+  return 0
+}
+
+/**
+ * Best chord per bar by dynamic programming over chord fit and voice-leading moves.
+ */
+function bestProgression(vocabulary, profiles) {
+  const isTonic = (chord) => chord.interval === 0
+  const last = profiles.length - 1
+  let scores = vocabulary.map(chord => chordFit(chord, profiles[0]) + (isTonic(chord) ? START_ON_TONIC_BONUS : 0))
+  const back = []
+
+  for (let bar = 1; bar < profiles.length; bar++) {
+    const pointers = []
+    scores = vocabulary.map((chord, j) => {
+      let best = -Infinity
+      let bestFrom = 0
+      vocabulary.forEach((from, i) => {
+        const score = scores[i] + transitionScore(from, chord)
+        if (score > best) {
+          best = score
+          bestFrom = i
+        }
+      })
+      pointers[j] = bestFrom
+      const ending = bar === last && (isTonic(chord) || chord.interval === 7) ? END_ON_TONIC_BONUS : 0
+      return best + chordFit(chord, profiles[bar]) + ending
+    })
+    back.push(pointers)
+  }
+
+  let index = scores.indexOf(Math.max(...scores))
+  const total = scores[index]
+  const path = [index]
+  for (let bar = back.length - 1; bar >= 0; bar--) {
+    index = back[bar][index]
+    path.unshift(index)
+  }
+  return { chords: path.map(i => vocabulary[i]), score: total }
+}
+
+/**
+ * Share of the melody (by duration) that lands on a tone of its bar's chord.
+ */
+function melodyFit(chords, profiles) {
+  let inside = 0
+  let counted = 0
+  profiles.forEach((profile, bar) => {
+    if (profile.empty) return
+    counted++
+    for (const pc of chords[bar].pitchClasses) inside += profile.weights[pc]
+  })
+  return counted > 0 ? Math.round((inside / counted) * 100) / 100 : 0
+}
+
+function describeProgression(chords, bars, profiles) {
+  return {
+    chords: chords.map((chord, bar) => ({
+      bar: bar + 1,
+      start: Math.round(Math.max(0, bars[bar].start)),
+      roman: chord.roman,
+      symbol: chord.symbol,
+    })),
+    roman: chords.map(c => c.roman).join('–'),
+    symbols: chords.map(c => c.symbol).join('–'),
+    fit: melodyFit(chords, profiles),
+  }
+}
+
+/**
+ * Harmony style used for a genre name (falls back to pop).
+ */
+export function getHarmonyStyle(genre) {
+  return HARMONY_STYLES[GENRE_STYLES[genre]] || HARMONY_STYLES.pop
+}
+
+/**
+ * Suggest a chord progression for analysis results ({ tonic, mode, notes, beats,
+ * tempo, beatsPerBar }), one chord per bar, in the harmonic style of `genre`.
+ * Returns { key, style, bars, chords, roman, symbols, fit, alternatives } where
+ * chords are { bar, start, roman, symbol } and alternatives are the style's stock
+ * progressions that fit the melody best. Returns null without a key or notes.
+ */
+export function suggestChordProgression(analysisResults, genre) {
+  const { tonic, mode, notes, beats, tempo } = analysisResults || {}
+  const tonicPc = NOTE_NAMES.indexOf(tonic)
+  if (tonicPc === -1 || !CHORDS[mode] || !notes?.length) return null
+
+  const sorted = [...notes].sort((a, b) => a.onset - b.onset)
+  const beatsPerBar = analysisResults.beatsPerBar || 4
+  const style = getHarmonyStyle(genre)
+  const vocabulary = chordVocabulary(tonicPc, mode, style)
+
+  // The beat tracker doesn't know where bars start: try each downbeat and keep the best fit
+  let best = null
+  for (let phase = 0; phase < beatsPerBar; phase++) {
+    const bars = barGrid(sorted, { beats, tempo, beatsPerBar }, phase)
+    const profiles = barProfiles(sorted, bars)
+    const progression = bestProgression(vocabulary, profiles)
+    if (!best || progression.score / bars.length > best.progression.score / best.bars.length) {
+      best = { bars, profiles, progression }
+    }
+  }
+  const { bars, profiles, progression } = best
+
+  const alternatives = style.templates[mode]
+    .map(template => {
+      const chords = bars.map((_, bar) => chordByRoman(tonicPc, mode, template[bar % template.length]))
+      return {
+        name: `${style.name} ${template.join('–')}`,
+        ...describeProgression(chords, bars, profiles),
+      }
+    })
+    .filter(alternative => alternative.roman !== progression.chords.map(c => c.roman).join('–'))
+    .sort((a, b) => b.fit - a.fit)
+    .slice(0, MAX_ALTERNATIVES)
+
+  return {
+    key: `${tonic} ${mode}`,
+    style: style.name,
+    bars: bars.length,
+    ...describeProgression(progression.chords, bars, profiles),
+    alternatives,
+  }
+}
+
+/**
+ * Progression for the music prompt, e.g. "chord progression Am–F–C–G (vi–IV–I–V)".
+ */
+export function describeChordProgression(progression) {
+  if (!progression) return ''
+  return `chord progression ${progression.symbols} (${progression.roman})`
+}
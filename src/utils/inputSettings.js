@@ -0,0 +1,70 @@
+/**
+ * Microphone selection and capture settings, persisted in localStorage so the
+ * chosen device and processing survive between sessions. The browser's voice
+ * processing (echo cancellation, noise suppression, auto gain) is tuned for
+ * speech and smears sustained hums, so it is off unless the user turns it on.
+ */
+
+const STORAGE_KEY = 'vibehum.inputSettings'
+
+export const DEFAULT_INPUT_SETTINGS = {
+  deviceId: null,
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+}
+
+/**
+ * Saved settings merged over the defaults; the defaults when nothing is saved
+ * or storage is unavailable.
+ */
+export function loadInputSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return { ...DEFAULT_INPUT_SETTINGS, ...saved }
+  } catch {
+    return { ...DEFAULT_INPUT_SETTINGS }
+  }
+}
+
+export function saveInputSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch {
+    // Private browsing or full storage: the settings just won't persist
+  }
+}
+
+/**
+ * Audio input devices as { deviceId, label }. Labels are empty until the page
+ * has microphone permission, so unlabelled devices get a numbered name.
+ */
+export async function listInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return []
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter(d => d.kind === 'audioinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Microphone ${i + 1}` }))
+}
+
+function audioConstraints(settings, withDevice) {
+  return {
+    ...(withDevice && settings.deviceId ? { deviceId: { exact: settings.deviceId } } : {}),
+    echoCancellation: settings.echoCancellation,
+    noiseSuppression: settings.noiseSuppression,
+    autoGainControl: settings.autoGainControl,
+  }
+}
+
+/**
+ * Open a microphone stream with the given settings. Falls back to the default
+ * device when the saved one has been unplugged.
+ */
+export async function openInputStream(settings) {
+  try {
+    return await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(settings, true) })
+  } catch (err) {
+    if (!settings.deviceId || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err
+    return navigator.mediaDevices.getUserMedia({ audio: audioConstraints(settings, false) })
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Streaming analysis for the recorder's live readout: pitch and note with how far
+ * off equal temperament it is, a running tempo estimate and the input level.
+ * Fed one time-domain buffer at a time, e.g. from an AnalyserNode on every
+ * animation frame, so it only keeps a few seconds of history.
+ */
+
+import { estimateFramePitch, frequencyToMidi, midiToFrequency, midiToNoteName } from './melodyTranscription.js'
+import { median } from './common.js'
+
+const SILENCE_DB = -50
+const CLIP_LEVEL = 0.99
+const IN_TUNE_CENTS = 15
+// Median over this many voiced buffers steadies the note display
+const PITCH_SMOOTHING = 5
+
+// Warn while clipping has happened recently, or while the peak stays this low
+const CLIP_WARNING_HOLD_MS = 1000
+const QUIET_PEAK_DB = -30
+const QUIET_WARNING_MS = 2000
+
+// An onset is a level jump or a change to a new, held note
+const ONSET_RISE_DB = 6
+const ONSET_LOOKBACK_MS = 50
+const ONSET_MIN_GAP_MS = 100
+const NOTE_HOLD_MS = 60
+
+const TEMPO_WINDOW_MS = 8000
+const TEMPO_MIN_BPM = 80
+const TEMPO_TOLERANCE = 0.06
+const TEMPO_MIN_AGREEING = 3
+
+function toDb(value) {
+  return value > 0 ? 20 * Math.log10(value) : -Infinity
+}
+
+/**
+ * Running tempo from inter-onset intervals: each interval is folded into one
+ * octave of tempo and the most agreed-on value wins. Returns BPM or null.
+ */
+function estimateTempo(onsets) {
+  const tempos = []
+  for (let i = 1; i < onsets.length; i++) {
+    let bpm = 60000 / (onsets[i] - onsets[i - 1])
+    while (bpm < TEMPO_MIN_BPM) bpm *= 2
+    while (bpm >= TEMPO_MIN_BPM * 2) bpm /= 2
+    tempos.push(bpm)
+  }
+
+  let best = []
+  for (const candidate of tempos) {
+    const agreeing = tempos.filter(t => Math.abs(t - candidate) <= candidate * TEMPO_TOLERANCE)
+    if (agreeing.length > best.length) best = agreeing
+  }
+  if (best.length < TEMPO_MIN_AGREEING) return null
+  return Math.round(best.reduce((sum, t) => sum + t, 0) / best.length)
+}
+
+/**
+ * Create a live analyser. Call `update(timeData, sampleRate, timeMs)` with each new
+ * buffer; it returns { level, pitch, bpm }:
+ * level is { rms, peak } in dBFS plus `clipping` and `silent` flags and a
+ * `warning` of 'clipping' or 'quiet' (null when the input level is fine);
+ * pitch is { frequency, midi, note, cents, inTune } or null while unvoiced;
+ * bpm is null until enough onsets agree. Use a new analyser for each recording.
+ */
+export function createLiveAnalyzer() {
+  let levels = []
+  let onsets = []
+  let recentPitches = []
+  let heldNote = null
+  let candidateNote = null
+  let lastClipTime = -Infinity
+  let lastLoudTime = null
+
+  const addOnset = (timeMs) => {
+    if (onsets.length > 0 && timeMs - onsets[onsets.length - 1] < ONSET_MIN_GAP_MS) return
+    onsets.push(timeMs)
+  }
+
+  const update = (timeData, sampleRate, timeMs) => {
+    let sum = 0
+    let peak = 0
+    for (let i = 0; i < timeData.length; i++) {
+      const abs = Math.abs(timeData[i])
+      sum += timeData[i] * timeData[i]
+      if (abs > peak) peak = abs
+    }
+    const rmsDb = toDb(Math.sqrt(sum / timeData.length))
+    const silent = rmsDb < SILENCE_DB
+    const clipping = peak >= CLIP_LEVEL
+
+    if (clipping) lastClipTime = timeMs
+    if (lastLoudTime === null || toDb(peak) >= QUIET_PEAK_DB) lastLoudTime = timeMs
+    let warning = null
+    if (timeMs - lastClipTime <= CLIP_WARNING_HOLD_MS) warning = 'clipping'
+    else if (timeMs - lastLoudTime >= QUIET_WARNING_MS) warning = 'quiet'
+
+    // Level attacks against the quietest recent buffer
+    levels = levels.filter(l => timeMs - l.time <= ONSET_LOOKBACK_MS)
+    if (!silent && levels.length > 0 && rmsDb - Math.min(...levels.map(l => l.db)) >= ONSET_RISE_DB) {
+      addOnset(timeMs)
+    }
+    levels.push({ time: timeMs, db: rmsDb })
+
+    let pitch = null
+    const { frequency } = silent ? { frequency: 0 } : estimateFramePitch(timeData, sampleRate)
+    if (frequency > 0) {
+      recentPitches = [...recentPitches, frequencyToMidi(frequency)].slice(-PITCH_SMOOTHING)
+      const midiFloat = median(recentPitches)
+      const midi = Math.round(midiFloat)
+      const cents = Math.round((midiFloat - midi) * 100)
+      pitch = {
+        frequency: Math.round(midiToFrequency(midiFloat) * 10) / 10,
+        midi,
+        note: midiToNoteName(midi),
+        cents,
+        inTune: Math.abs(cents) <= IN_TUNE_CENTS,
+      }
+
+      // Legato hums rarely dip in level, so a new note held for a moment counts too
+      if (midi !== heldNote) {
+        if (candidateNote?.midi !== midi) candidateNote = { midi, since: timeMs }
+        else if (timeMs - candidateNote.since >= NOTE_HOLD_MS) {
+          if (heldNote !== null) addOnset(candidateNote.since)
+          heldNote = midi
+          candidateNote = null
+        }
+      }
+    } else {
+      recentPitches = []
+      heldNote = null
+      candidateNote = null
+    }
+
+    onsets = onsets.filter(t => timeMs - t <= TEMPO_WINDOW_MS)
+
+    return {
+      level: {
+        rms: Math.round(Math.max(rmsDb, -100) * 10) / 10,
+        peak: Math.round(Math.max(toDb(peak), -100) * 10) / 10,
+        clipping,
+        silent,
+        warning,
+      },
+      pitch,
+      bpm: estimateTempo(onsets),
+    }
+  }
+
+  return { update }
+}
@@ -0,0 +1,200 @@
+/**
+ * Loudness and dynamics metering after ITU-R BS.1770-4 and EBU Tech 3342:
+ * K-weighted integrated and short-term loudness (LUFS), loudness range (LU),
+ * sample peak and crest factor (dB).
+ * Works on any AudioBuffer-compatible object: recordings and generated songs alike.
+ */
+
+import { percentile } from './common.js'
+
+const MOMENTARY_MS = 400
+const SHORT_TERM_MS = 3000
+const BLOCK_HOP_MS = 100
+const ABSOLUTE_GATE_LUFS = -70
+const RELATIVE_GATE_LU = -10
+const RANGE_RELATIVE_GATE_LU = -20
+const RANGE_LOW_PERCENTILE = 0.1
+const RANGE_HIGH_PERCENTILE = 0.95
+// Short-term values reported for display, one per this many ms
+const SHORT_TERM_REPORT_MS = 500
+
+function biquad(data, { b0, b1, b2, a1, a2 }) {
+  const out = new Float32Array(data.length)
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0
+  for (let i = 0; i < data.length; i++) {
+    const x = data[i]
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2
+    x2 = x1
+    x1 = x
+    y2 = y1
+    y1 = y
+    out[i] = y
+  }
+  return out
+}
+
+/**
+ * BS.1770 K-weighting filter coefficients for any sample rate: a high shelf
+ * modelling the head, then the RLB high-pass.
+ */
+function kWeightingFilters(sampleRate) {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate)
+  const shelfQ = 0.7071752369554196
+  const vh = 10 ** (3.999843853973347 / 20)
+  const vb = vh ** 0.4996667741545416
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK
+
+  const highPassK = Math.tan((Math.PI * 38.13547087602444) / sampleRate)
+  const highPassQ = 0.5003270373238773
+  const highPassA0 = 1 + highPassK / highPassQ + highPassK * highPassK
+
+  return [
+    {
+      b0: (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      b1: (2 * (shelfK * shelfK - vh)) / shelfA0,
+      b2: (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      a1: (2 * (shelfK * shelfK - 1)) / shelfA0,
+      a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+    },
+    {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: (2 * (highPassK * highPassK - 1)) / highPassA0,
+      a2: (1 - highPassK / highPassQ + highPassK * highPassK) / highPassA0,
+    },
+  ]
+}
+
+/**
+ * Per-channel weights: surround channels count 1.41×, the LFE of a 5.1 layout not at all.
+ */
+function channelWeights(count) {
+  if (count === 5) return [1, 1, 1, 1.41, 1.41]
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41]
+  return new Array(count).fill(1)
+}
+
+function toLufs(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity
+}
+
+/**
+ * Channel-weighted mean square of the K-weighted signal in overlapping blocks.
+ * Recordings shorter than one block are measured as a single block.
+ */
+function blockPowers(weighted, weights, sampleRate, blockMs) {
+  const length = weighted[0]?.length || 0
+  const blockSize = Math.min(length, Math.round((sampleRate * blockMs) / 1000))
+  const hopSize = Math.max(1, Math.round((sampleRate * BLOCK_HOP_MS) / 1000))
+  if (blockSize === 0) return []
+
+  // Running sums of squares make every block O(1)
+  const cumulative = weighted.map(data => {
+    const sums = new Float64Array(length + 1)
+    for (let i = 0; i < length; i++) sums[i + 1] = sums[i] + data[i] * data[i]
+    return sums
+  })
+
+  const blocks = []
+  for (let start = 0; start + blockSize <= length; start += hopSize) {
+    let power = 0
+    cumulative.forEach((sums, c) => {
+      power += (weights[c] * (sums[start + blockSize] - sums[start])) / blockSize
+    })
+    blocks.push({ start, power })
+  }
+  return blocks
+}
+
+/**
+ * Gated integrated loudness: drop blocks under -70 LUFS, then blocks more than
+ * 10 LU below the mean of what's left.
+ */
+function integratedLoudness(blocks) {
+  const audible = blocks.filter(b => toLufs(b.power) > ABSOLUTE_GATE_LUFS)
+  if (audible.length === 0) return -Infinity
+  const mean = audible.reduce((sum, b) => sum + b.power, 0) / audible.length
+  const gate = toLufs(mean) + RELATIVE_GATE_LU
+  const gated = audible.filter(b => toLufs(b.power) > gate)
+  return toLufs(gated.reduce((sum, b) => sum + b.power, 0) / gated.length)
+}
+
+/**
+ * Loudness range (EBU Tech 3342): spread between the 10th and 95th percentile of
+ * gated short-term loudness.
+ */
+function loudnessRange(shortTermBlocks) {
+  const audible = shortTermBlocks.map(b => toLufs(b.power)).filter(l => l > ABSOLUTE_GATE_LUFS)
+  if (audible.length === 0) return 0
+  const meanPower = audible.reduce((sum, l) => sum + 10 ** ((l + 0.691) / 10), 0) / audible.length
+  const gate = toLufs(meanPower) + RANGE_RELATIVE_GATE_LU
+  const gated = audible.filter(l => l > gate).sort((a, b) => a - b)
+  if (gated.length === 0) return 0
+  return percentile(gated, RANGE_HIGH_PERCENTILE) - percentile(gated, RANGE_LOW_PERCENTILE)
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 10) / 10 : null
+}
+
+/**
+ * Measure loudness and dynamics of an AudioBuffer.
+ * Returns { integrated, maxMomentary, maxShortTerm, shortTerm, loudnessRange, peak, crestFactor }:
+ * loudness in LUFS, range in LU, peak in dBFS, crest factor (peak over RMS) in dB,
+ * and shortTerm as [{ time (ms), lufs }]. Silent input gives null levels.
+ */
+export function measureLoudness(audioBuffer) {
+  const { sampleRate, numberOfChannels } = audioBuffer
+  const filters = kWeightingFilters(sampleRate)
+  const weights = channelWeights(numberOfChannels)
+
+  let peak = 0
+  let sumSquares = 0
+  let samples = 0
+  const weighted = []
+  for (let c = 0; c < numberOfChannels; c++) {
+    const data = audioBuffer.getChannelData(c)
+    for (let i = 0; i < data.length; i++) {
+      const abs = Math.abs(data[i])
+      if (abs > peak) peak = abs
+      sumSquares += data[i] * data[i]
+    }
+    samples += data.length
+    weighted.push(filters.reduce((signal, filter) => biquad(signal, filter), data))
+  }
+
+  const momentary = blockPowers(weighted, weights, sampleRate, MOMENTARY_MS)
+  const shortTermBlocks = blockPowers(weighted, weights, sampleRate, SHORT_TERM_MS)
+  const rms = samples > 0 ? Math.sqrt(sumSquares / samples) : 0
+  const reportEvery = Math.round(SHORT_TERM_REPORT_MS / BLOCK_HOP_MS)
+  const shortTermWindowMs = Math.min(SHORT_TERM_MS, (audioBuffer.length / sampleRate) * 1000)
+
+  return {
+    integrated: round(integratedLoudness(momentary)),
+    maxMomentary: round(Math.max(...momentary.map(b => toLufs(b.power)))),
+    maxShortTerm: round(Math.max(...shortTermBlocks.map(b => toLufs(b.power)))),
+    shortTerm: shortTermBlocks
+      .filter((_, i) => i % reportEvery === 0)
+      .map(b => ({
+        // Stamp each value at the end of its window, as a live meter would show it
+        time: Math.round((b.start / sampleRate) * 1000 + shortTermWindowMs),
+        lufs: round(toLufs(b.power)),
+      })),
+    loudnessRange: round(loudnessRange(shortTermBlocks)),
+    peak: round(peak > 0 ? 20 * Math.log10(peak) : -Infinity),
+    crestFactor: round(rms > 0 ? 20 * Math.log10(peak / rms) : -Infinity),
+  }
+}
+
+/**
+ * Short-term loudness at a playback position (ms): the latest value stamped at or before it.
+ */
+export function shortTermLoudnessAt(loudness, timeMs) {
+  let current = null
+  for (const point of loudness?.shortTerm || []) {
+    if (point.time > timeMs) break
+    current = point.lufs
+  }
+  return current
+}
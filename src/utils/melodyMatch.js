@@ -0,0 +1,75 @@
+/**
+ * Query-by-humming: compares melody fingerprints (semitone intervals and their
+ * Parsons code) so a short hum can be matched against the melodies of saved songs.
+ * Intervals make the match independent of key; ignoring durations makes it
+ * independent of tempo.
+ */
+
+// Hums shorter than this match almost anything
+export const MIN_QUERY_INTERVALS = 3
+
+// Same-direction steps this far apart cost as much as a wrong direction would at most
+const INTERVAL_TOLERANCE = 4
+const SAME_DIRECTION_MAX_COST = 0.5
+// An extra or missing note, e.g. a held note split in two
+const GAP_COST = 0.8
+
+/**
+ * Melody fingerprint of a song or recording: { parsons, intervals }, or null
+ * when its analysis has no intervals.
+ */
+export function melodyFingerprint(analysisResults) {
+  if (!analysisResults?.intervals?.length) return null
+  return { parsons: analysisResults.parsons, intervals: analysisResults.intervals }
+}
+
+/**
+ * Cost of aligning two intervals: 0 when equal, up to SAME_DIRECTION_MAX_COST when
+ * they move the same way, 1 when their Parsons letters differ.
+ */
+function stepCost(a, b) {
+  if (Math.sign(a) !== Math.sign(b)) return 1
+  return Math.min(1, Math.abs(a - b) / INTERVAL_TOLERANCE) * SAME_DIRECTION_MAX_COST
+}
+
+/**
+ * How well a hummed query matches a reference melody (0-1).
+ * The whole query is aligned against the best-matching stretch of the
+ * reference, so humming any part of a song can find it.
+ */
+export function melodySimilarity(query, reference) {
+  const a = query?.intervals || []
+  const b = reference?.intervals || []
+  if (a.length < MIN_QUERY_INTERVALS || b.length === 0) return 0
+
+  // Edit distance with a free start and end in the reference
+  let previous = new Float64Array(b.length + 1)
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Float64Array(b.length + 1)
+    current[0] = i * GAP_COST
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j - 1] + stepCost(a[i - 1], b[j - 1]),
+        previous[j] + GAP_COST,
+        current[j - 1] + GAP_COST
+      )
+    }
+    previous = current
+  }
+
+  const cost = Math.min(...previous)
+  return Math.max(0, 1 - cost / a.length)
+}
+
+/**
+ * Songs ranked by how well their stored melody matches the query, best first.
+ * Songs without a fingerprint are left out; each result gets a `similarity`.
+ */
+export function rankSongsByMelody(query, songs, limit = 8) {
+  return songs
+    .map(song => ({ song, fingerprint: song.melodyFingerprint || melodyFingerprint(song.audioAnalysis) }))
+    .filter(({ fingerprint }) => fingerprint)
+    .map(({ song, fingerprint }) => ({ ...song, similarity: melodySimilarity(query, fingerprint) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+}
@@ -0,0 +1,258 @@
+/**
+ * Melody transcription: tracks pitch frame-by-frame with the YIN algorithm and
+ * segments the track into discrete notes.
+ * All functions operate on Web Audio API AudioBuffer objects.
+ */
+
+import { getAnalysisSignal } from './analysisInput.js'
+import { NOTE_NAMES, median } from './common.js'
+
+// YIN runs on a decimated signal; ~11 kHz still covers whistles up to MAX_FREQ
+const TARGET_RATE = 11025
+const MIN_FREQ = 60
+const MAX_FREQ = 2500
+const WINDOW_MS = 40
+// Pitch track frame spacing; trackPitch frames are this far apart
+export const HOP_MS = 10
+const YIN_THRESHOLD = 0.15
+
+// Segmentation
+const MIN_NOTE_MS = 60
+const PITCH_CHANGE_SEMITONES = 0.6
+const PITCH_CHANGE_FRAMES = 3
+// A repeated note: the level dips under this share of the note's peak, then rises again
+const REARTICULATION_DIP = 0.6
+const REARTICULATION_RISE = 1.5
+
+export function frequencyToMidi(freq) {
+  return 69 + 12 * Math.log2(freq / 440)
+}
+
+export function midiToFrequency(midi) {
+  return 440 * 2 ** ((midi - 69) / 12)
+}
+
+export function midiToNoteName(midi) {
+  const rounded = Math.round(midi)
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`
+}
+
+/**
+ * Decimate by an integer factor with a boxcar pre-filter.
+ */
+function decimate(channelData, factor) {
+  if (factor <= 1) return channelData
+  const out = new Float32Array(Math.floor(channelData.length / factor))
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0
+    for (let j = 0; j < factor; j++) sum += channelData[i * factor + j]
+    out[i] = sum / factor
+  }
+  return out
+}
+
+/**
+ * YIN pitch estimate for one frame. Returns { frequency, aperiodicity };
+ * frequency is 0 when no period falls under the threshold.
+ */
+function yinFrame(data, start, windowSize, tauMin, tauMax, sampleRate) {
+  const diff = new Float32Array(tauMax + 1)
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0
+    for (let j = 0; j < windowSize; j++) {
+      const delta = data[start + j] - data[start + j + tau]
+      sum += delta * delta
+    }
+    diff[tau] = sum
+  }
+
+  // Cumulative mean normalized difference
+  const cmnd = new Float32Array(tauMax + 1)
+  cmnd[0] = 1
+  let runningSum = 0
+  for (let tau = 1; tau <= tauMax; tau++) {
+    runningSum += diff[tau]
+    cmnd[tau] = runningSum > 0 ? diff[tau] * tau / runningSum : 1
+  }
+
+  let bestTau = -1
+  for (let tau = tauMin; tau <= tauMax; tau++) {
+    if (cmnd[tau] < YIN_THRESHOLD) {
+      while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) tau++
+      bestTau = tau
+      break
+    }
+  }
+
+  if (bestTau === -1) {
+    let minVal = Infinity
+    for (let tau = tauMin; tau <= tauMax; tau++) {
+      if (cmnd[tau] < minVal) minVal = cmnd[tau]
+    }
+    return { frequency: 0, aperiodicity: minVal }
+  }
+
+  // Parabolic interpolation around the chosen lag
+  let refinedTau = bestTau
+  if (bestTau > tauMin && bestTau < tauMax) {
+    const a = cmnd[bestTau - 1]
+    const b = cmnd[bestTau]
+    const c = cmnd[bestTau + 1]
+    const denom = a - 2 * b + c
+    if (denom !== 0) refinedTau = bestTau + (a - c) / (2 * denom)
+  }
+
+  return { frequency: sampleRate / refinedTau, aperiodicity: cmnd[bestTau] }
+}
+
+/**
+ * YIN pitch of a single buffer, such as an AnalyserNode's time-domain data.
+ * Returns { frequency, clarity }; frequency is 0 when unvoiced or when the
+ * buffer is too short to hold the lowest trackable period.
+ */
+export function estimateFramePitch(data, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / TARGET_RATE))
+  const decimated = decimate(data, factor)
+  const rate = sampleRate / factor
+  const tauMin = Math.floor(rate / MAX_FREQ)
+  const tauMax = Math.ceil(rate / MIN_FREQ)
+  const windowSize = Math.min(Math.round(rate * WINDOW_MS / 1000), decimated.length - tauMax - 1)
+  if (windowSize < tauMax) return { frequency: 0, clarity: 0 }
+
+  const { frequency, aperiodicity } = yinFrame(decimated, 0, windowSize, tauMin, tauMax, rate)
+  return { frequency, clarity: Math.max(0, 1 - aperiodicity) }
+}
+
+/**
+ * Track pitch over time using YIN.
+ * Returns one entry per hop with time (ms), frequency (0 when unvoiced),
+ * clarity (1 - aperiodicity) and RMS level.
+ */
+export function trackPitch(audioBuffer) {
+  const signal = getAnalysisSignal(audioBuffer)
+  const factor = Math.max(1, Math.floor(signal.sampleRate / TARGET_RATE))
+  const data = decimate(signal.data, factor)
+  const sampleRate = signal.sampleRate / factor
+
+  const windowSize = Math.round(sampleRate * WINDOW_MS / 1000)
+  const hopSize = Math.round(sampleRate * HOP_MS / 1000)
+  const tauMin = Math.floor(sampleRate / MAX_FREQ)
+  const tauMax = Math.ceil(sampleRate / MIN_FREQ)
+
+  const frames = []
+  for (let start = 0; start + windowSize + tauMax < data.length; start += hopSize) {
+    let sum = 0
+    for (let i = start; i < start + windowSize; i++) sum += data[i] * data[i]
+    const rms = Math.sqrt(sum / windowSize)
+
+    const { frequency, aperiodicity } = rms > 0
+      ? yinFrame(data, start, windowSize, tauMin, tauMax, sampleRate)
+      : { frequency: 0, aperiodicity: 1 }
+
+    frames.push({
+      time: (start / sampleRate) * 1000,
+      frequency,
+      clarity: Math.max(0, 1 - aperiodicity),
+      rms,
+    })
+  }
+
+  // Unvoice frames well below the loudest part (breath, room noise)
+  const gate = Math.max(...frames.map(f => f.rms), 0) * 0.08
+  for (const frame of frames) {
+    if (frame.rms < gate) frame.frequency = 0
+  }
+
+  return frames
+}
+
+/**
+ * Split a pitch track into discrete notes.
+ * Each note has onset and duration (ms), MIDI pitch, note name,
+ * cents deviation from the equal-tempered pitch, and mean amplitude.
+ */
+export function segmentNotes(frames) {
+  const notes = []
+  const minFrames = Math.ceil(MIN_NOTE_MS / HOP_MS)
+  let current = null
+
+  const closeNote = () => {
+    if (current && current.pitches.length >= minFrames) {
+      const midiFloat = median(current.pitches)
+      const midi = Math.round(midiFloat)
+      notes.push({
+        onset: Math.round(current.start),
+        duration: Math.round(current.end - current.start),
+        midi,
+        note: midiToNoteName(midi),
+        cents: Math.round((midiFloat - midi) * 100),
+        frequency: Math.round(midiToFrequency(midiFloat) * 10) / 10,
+        amplitude: Math.round((current.levels.reduce((a, b) => a + b, 0) / current.levels.length) * 1000) / 1000,
+      })
+    }
+    current = null
+  }
+
+  for (const frame of frames) {
+    if (frame.frequency <= 0) {
+      closeNote()
+      continue
+    }
+
+    const pitch = frequencyToMidi(frame.frequency)
+    if (!current) {
+      current = { start: frame.time, end: frame.time + HOP_MS, pitches: [pitch], levels: [frame.rms], pending: [], trough: null }
+      continue
+    }
+
+    // Re-attacking the same pitch starts a new note
+    const peak = Math.max(...current.levels)
+    if (frame.rms < peak * REARTICULATION_DIP) {
+      current.trough = Math.min(current.trough ?? frame.rms, frame.rms)
+    } else if (current.trough !== null && frame.rms >= current.trough * REARTICULATION_RISE) {
+      closeNote()
+      current = { start: frame.time, end: frame.time + HOP_MS, pitches: [pitch], levels: [frame.rms], pending: [], trough: null }
+      continue
+    }
+
+    // A pitch change only starts a new note once it has held for a few frames
+    const reference = median(current.pitches)
+    if (Math.abs(pitch - reference) > PITCH_CHANGE_SEMITONES) {
+      current.pending.push({ frame, pitch })
+      if (current.pending.length >= PITCH_CHANGE_FRAMES) {
+        const pending = current.pending
+        current.pending = []
+        closeNote()
+        current = {
+          start: pending[0].frame.time,
+          end: frame.time + HOP_MS,
+          pitches: pending.map(p => p.pitch),
+          levels: pending.map(p => p.frame.rms),
+          pending: [],
+          trough: null,
+        }
+      }
+      continue
+    }
+
+    // Short excursions (scoops, glitches) are absorbed into the current note
+    for (const p of current.pending) {
+      current.pitches.push(reference)
+      current.levels.push(p.frame.rms)
+    }
+    current.pending = []
+    current.pitches.push(pitch)
+    current.levels.push(frame.rms)
+    current.end = frame.time + HOP_MS
+  }
+  closeNote()
+
+  return notes
+}
+
+/**
+ * Transcribe the melody in an AudioBuffer into a note sequence.
+ */
+export function transcribeMelody(audioBuffer) {
+  return segmentNotes(trackPitch(audioBuffer))
+}
@@ -0,0 +1,80 @@
+/**
+ * Web Audio metronome for count-ins and click tracks. Clicks are short
+ * oscillator blips scheduled slightly ahead on the audio clock, so their timing
+ * doesn't depend on the main thread keeping up.
+ */
+
+const LOOKAHEAD_MS = 25
+const SCHEDULE_AHEAD_SECONDS = 0.1
+const CLICK_SECONDS = 0.03
+const CLICK_GAIN = 0.5
+const ACCENT_FREQUENCY = 1500
+const BEAT_FREQUENCY = 1000
+
+export const METRONOME_METERS = [
+  { meter: '2/4', beatsPerBar: 2 },
+  { meter: '3/4', beatsPerBar: 3 },
+  { meter: '4/4', beatsPerBar: 4 },
+  { meter: '6/8', beatsPerBar: 6 },
+]
+
+export const METRONOME_MIN_BPM = 40
+export const METRONOME_MAX_BPM = 220
+
+function scheduleClick(audioContext, time, accent) {
+  const oscillator = audioContext.createOscillator()
+  const gain = audioContext.createGain()
+  oscillator.frequency.value = accent ? ACCENT_FREQUENCY : BEAT_FREQUENCY
+  gain.gain.setValueAtTime(CLICK_GAIN, time)
+  gain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_SECONDS)
+  oscillator.connect(gain)
+  gain.connect(audioContext.destination)
+  oscillator.start(time)
+  oscillator.stop(time + CLICK_SECONDS)
+}
+
+/**
+ * Create a metronome on an AudioContext; the first beat of each bar is accented.
+ * `start(startTime, endTime)` clicks from startTime until endTime (audio-clock
+ * seconds; omit endTime to keep going) and `stop()` silences it.
+ * `onBeat(index)` is called as each beat sounds, counting from 0.
+ */
+export function createMetronome(audioContext, { bpm, beatsPerBar, onBeat }) {
+  const beatSeconds = 60 / bpm
+  let timer = null
+  let beatTimeouts = []
+  let nextBeatTime = 0
+  let beatIndex = 0
+  let endTime = Infinity
+
+  const schedule = () => {
+    while (nextBeatTime < endTime - 1e-6 && nextBeatTime < audioContext.currentTime + SCHEDULE_AHEAD_SECONDS) {
+      scheduleClick(audioContext, nextBeatTime, beatIndex % beatsPerBar === 0)
+      if (onBeat) {
+        const beat = beatIndex
+        const delay = Math.max(0, (nextBeatTime - audioContext.currentTime) * 1000)
+        beatTimeouts.push(setTimeout(() => onBeat(beat), delay))
+      }
+      nextBeatTime += beatSeconds
+      beatIndex++
+    }
+    if (nextBeatTime >= endTime - 1e-6) clearInterval(timer)
+  }
+
+  const start = (startTime, until = Infinity) => {
+    nextBeatTime = startTime
+    beatIndex = 0
+    endTime = until
+    schedule()
+    timer = setInterval(schedule, LOOKAHEAD_MS)
+  }
+
+  const stop = () => {
+    clearInterval(timer)
+    beatTimeouts.forEach(clearTimeout)
+    beatTimeouts = []
+    endTime = nextBeatTime
+  }
+
+  return { start, stop, beatSeconds }
+}
@@ -0,0 +1,147 @@
+/**
+ * Minimal Standard MIDI File writer for exporting transcribed melodies.
+ * Produces single-track format-0 files; no external dependencies.
+ */
+
+import { NOTE_NAMES } from './common.js'
+
+const DEFAULT_TICKS_PER_BEAT = 480
+const DEFAULT_BPM = 120
+const MIN_VELOCITY = 40
+const MAX_VELOCITY = 120
+
+function writeString(bytes, str) {
+  for (let i = 0; i < str.length; i++) bytes.push(str.charCodeAt(i))
+}
+
+function writeUint32(bytes, value) {
+  bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF)
+}
+
+function writeUint16(bytes, value) {
+  bytes.push((value >>> 8) & 0xFF, value & 0xFF)
+}
+
+/**
+ * Variable-length quantity used for delta times and meta lengths.
+ */
+function writeVarLen(bytes, value) {
+  let buffer = value & 0x7F
+  while ((value >>= 7) > 0) {
+    buffer <<= 8
+    buffer |= (value & 0x7F) | 0x80
+  }
+  for (;;) {
+    bytes.push(buffer & 0xFF)
+    if (buffer & 0x80) buffer >>= 8
+    else break
+  }
+}
+
+/**
+ * Convert a key string like "A minor" into the sharps/flats count and mode flag
+ * used by the key-signature meta event. Returns null for unparseable keys.
+ */
+export function keyToSignature(key) {
+  if (!key) return null
+  const [tonic, mode] = key.split(' ')
+  const pitchClass = NOTE_NAMES.indexOf(tonic)
+  if (pitchClass === -1) return null
+
+  const isMinor = mode === 'minor'
+  // Minor keys share the signature of their relative major
+  const majorPitchClass = isMinor ? (pitchClass + 3) % 12 : pitchClass
+  let sharpsFlats = (majorPitchClass * 7) % 12
+  if (sharpsFlats > 6) sharpsFlats -= 12
+
+  return { sharpsFlats, isMinor }
+}
+
+/**
+ * Build a format-0 Standard MIDI File from a transcribed note sequence.
+ * Notes use the transcription shape: { onset, duration } in ms and `midi`.
+ * `bpm` counts the time signature's beat note (eighths in 6/8), as the analysis
+ * does; `ticksPerBeat` is per quarter note, as MIDI counts it.
+ * Returns the file as a Uint8Array.
+ */
+export function createMidiFile({ notes, bpm = DEFAULT_BPM, key, timeSignature = [4, 4], ticksPerBeat = DEFAULT_TICKS_PER_BEAT }) {
+  const [numerator, denominator] = timeSignature
+  const quarterBpm = (bpm > 0 ? bpm : DEFAULT_BPM) * 4 / denominator
+  const msToTicks = (ms) => Math.max(0, Math.round((ms / 1000) * (quarterBpm / 60) * ticksPerBeat))
+
+  const maxAmplitude = Math.max(...notes.map(n => n.amplitude || 0), 0)
+  const velocityFor = (note) => {
+    if (!maxAmplitude || !note.amplitude) return 96
+    return Math.round(MIN_VELOCITY + (MAX_VELOCITY - MIN_VELOCITY) * (note.amplitude / maxAmplitude))
+  }
+
+  // Absolute-time events; note-offs sort before note-ons at the same tick
+  const events = []
+  for (const note of notes) {
+    const pitch = Math.max(0, Math.min(127, note.midi))
+    const start = msToTicks(note.onset)
+    const end = Math.max(start + 1, msToTicks(note.onset + note.duration))
+    events.push({ tick: start, order: 1, data: [0x90, pitch, velocityFor(note)] })
+    events.push({ tick: end, order: 0, data: [0x80, pitch, 0] })
+  }
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order)
+
+  const track = []
+
+  // Tempo: microseconds per quarter note
+  const usPerQuarter = Math.round(60000000 / quarterBpm)
+  track.push(0, 0xFF, 0x51, 0x03, (usPerQuarter >> 16) & 0xFF, (usPerQuarter >> 8) & 0xFF, usPerQuarter & 0xFF)
+
+  // Compound meters click on the dotted quarter (36 MIDI clocks), the rest on the quarter
+  const clocksPerClick = denominator === 8 && numerator % 3 === 0 ? 36 : 24
+  track.push(0, 0xFF, 0x58, 0x04, numerator, Math.log2(denominator), clocksPerClick, 8)
+
+  const signature = keyToSignature(key)
+  if (signature) {
+    track.push(0, 0xFF, 0x59, 0x02, signature.sharpsFlats & 0xFF, signature.isMinor ? 1 : 0)
+  }
+
+  let lastTick = 0
+  for (const event of events) {
+    writeVarLen(track, event.tick - lastTick)
+    track.push(...event.data)
+    lastTick = event.tick
+  }
+
+  // End of track
+  track.push(0, 0xFF, 0x2F, 0x00)
+
+  const bytes = []
+  writeString(bytes, 'MThd')
+  writeUint32(bytes, 6)
+  writeUint16(bytes, 0) // format 0
+  writeUint16(bytes, 1) // one track
+  writeUint16(bytes, ticksPerBeat)
+  writeString(bytes, 'MTrk')
+  writeUint32(bytes, track.length)
+  bytes.push(...track)
+
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Parse a meter such as '3/4' into [numerator, denominator]; 4/4 if missing or malformed.
+ */
+function parseMeter(meter) {
+  const [numerator, denominator] = String(meter || '').split('/').map(Number)
+  const valid = numerator > 0 && [1, 2, 4, 8, 16].includes(denominator)
+  return valid ? [numerator, denominator] : [4, 4]
+}
+
+/**
+ * Build a MIDI file from analysis results and wrap it in a Blob for download.
+ */
+export function createMidiBlob(analysisResults) {
+  const data = createMidiFile({
+    notes: analysisResults.notes || [],
+    bpm: analysisResults.tempo,
+    key: analysisResults.key,
+    timeSignature: parseMeter(analysisResults.meter),
+  })
+  return new Blob([data], { type: 'audio/midi' })
+}
@@ -0,0 +1,191 @@
+/**
+ * Vocal range and pitch-stability analysis over a YIN pitch track and its
+ * segmented notes: lowest and highest note, tessitura, the closest voice type,
+ * vibrato rate and depth, and how steadily notes are held.
+ */
+
+import { frequencyToMidi, midiToNoteName, HOP_MS } from './melodyTranscription.js'
+import { median, percentile } from './common.js'
+
+const MIN_NOTES = 2
+// Shorter notes are often glitches or octave errors; they don't set the range
+const RANGE_MIN_NOTE_MS = 100
+// Share of voiced frames left out below and above the tessitura
+const TESSITURA_TAIL = 0.15
+
+// Skip the scoop into each note and the release out of it
+const NOTE_EDGE_MS = 50
+const VIBRATO_MIN_NOTE_MS = 400
+const VIBRATO_MIN_HZ = 3.5
+const VIBRATO_MAX_HZ = 9
+const VIBRATO_MIN_CORRELATION = 0.4
+const VIBRATO_MIN_DEPTH_CENTS = 10
+// Drift slower than this window counts against stability; faster wobble is vibrato
+const DRIFT_WINDOW_MS = 250
+const UNSTABLE_DRIFT_CENTS = 40
+
+// Comfortable ranges (MIDI) for each voice type
+export const VOICE_TYPES = [
+  { type: 'bass', low: 40, high: 64 },
+  { type: 'baritone', low: 45, high: 69 },
+  { type: 'tenor', low: 48, high: 72 },
+  { type: 'alto', low: 53, high: 77 },
+  { type: 'mezzo-soprano', low: 57, high: 81 },
+  { type: 'soprano', low: 60, high: 84 },
+]
+
+function pitch(midi) {
+  return { midi, note: midiToNoteName(midi) }
+}
+
+/**
+ * Voiced frames inside a note, minus its attack and release, as cents from the note's median.
+ */
+function noteCents(note, frames) {
+  const start = note.onset + NOTE_EDGE_MS
+  const end = note.onset + note.duration - NOTE_EDGE_MS
+  const midis = frames
+    .filter(f => f.frequency > 0 && f.time >= start && f.time < end)
+    .map(f => frequencyToMidi(f.frequency))
+  if (midis.length === 0) return []
+  const center = median(midis)
+  return midis.map(m => (m - center) * 100)
+}
+
+/**
+ * Centred moving average; the window shrinks at the edges.
+ */
+function movingAverage(values, windowSize) {
+  const half = Math.floor(windowSize / 2)
+  return values.map((_, i) => {
+    const from = Math.max(0, i - half)
+    const to = Math.min(values.length, i + half + 1)
+    let sum = 0
+    for (let j = from; j < to; j++) sum += values[j]
+    return sum / (to - from)
+  })
+}
+
+/**
+ * Vibrato in one note's pitch wobble: the strongest autocorrelation peak in the
+ * vibrato rate range. Returns { rate, depth } (Hz, cents either side) or null.
+ */
+function detectNoteVibrato(wobble) {
+  const energy = wobble.reduce((sum, v) => sum + v * v, 0)
+  if (energy === 0) return null
+
+  const framesPerSecond = 1000 / HOP_MS
+  const minLag = Math.floor(framesPerSecond / VIBRATO_MAX_HZ)
+  const maxLag = Math.ceil(framesPerSecond / VIBRATO_MIN_HZ)
+  let bestLag = 0
+  let bestCorrelation = 0
+  for (let lag = minLag; lag <= maxLag && lag < wobble.length / 2; lag++) {
+    let sum = 0
+    for (let i = 0; i + lag < wobble.length; i++) sum += wobble[i] * wobble[i + lag]
+    // Normalise for the shrinking overlap
+    const correlation = (sum / (wobble.length - lag)) / (energy / wobble.length)
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation
+      bestLag = lag
+    }
+  }
+  if (bestCorrelation < VIBRATO_MIN_CORRELATION) return null
+
+  // A sine's peak is √2 × its RMS
+  const depth = Math.SQRT2 * Math.sqrt(energy / wobble.length)
+  if (depth < VIBRATO_MIN_DEPTH_CENTS) return null
+  return { rate: framesPerSecond / bestLag, depth }
+}
+
+/**
+ * The voice type whose comfortable range best contains the tessitura.
+ */
+export function closestVoiceType(tessituraLow, tessituraHigh) {
+  const center = (tessituraLow + tessituraHigh) / 2
+  let best = null
+  let bestScore = Infinity
+  for (const voice of VOICE_TYPES) {
+    const overshoot = Math.max(0, voice.low - tessituraLow) + Math.max(0, tessituraHigh - voice.high)
+    const score = overshoot * 2 + Math.abs(center - (voice.low + voice.high) / 2)
+    if (score < bestScore) {
+      bestScore = score
+      best = voice.type
+    }
+  }
+  return best
+}
+
+/**
+ * Analyse range and stability from a pitch track (trackPitch) and its notes (segmentNotes).
+ * Returns { lowest, highest, span, tessitura: { low, high }, voiceType, vibrato, stability },
+ * or null with fewer than two notes. Pitches are { midi, note }; span is in semitones;
+ * vibrato is { rate, depth } in Hz and cents, or null; stability runs 0-1.
+ * Pass `voiced: false` (e.g. for whistling) to skip the voice type.
+ */
+export function analyzeVocalRange(frames, notes, { voiced = true } = {}) {
+  if (notes.length < MIN_NOTES) return null
+
+  const rangeNotes = notes.filter(n => n.duration >= RANGE_MIN_NOTE_MS)
+  const midis = (rangeNotes.length >= MIN_NOTES ? rangeNotes : notes).map(n => n.midi)
+  const lowest = Math.min(...midis)
+  const highest = Math.max(...midis)
+
+  // Tessitura from where the voice actually spends its time, frame by frame
+  const noteFrames = frames
+    .filter(f => f.frequency > 0 && notes.some(n => f.time >= n.onset && f.time < n.onset + n.duration))
+    .map(f => frequencyToMidi(f.frequency))
+    .sort((a, b) => a - b)
+  const tessituraLow = Math.max(lowest, Math.round(percentile(noteFrames, TESSITURA_TAIL)))
+  const tessituraHigh = Math.min(highest, Math.round(percentile(noteFrames, 1 - TESSITURA_TAIL)))
+
+  // Split each note's pitch into slow drift and fast wobble
+  const driftWindow = Math.round(DRIFT_WINDOW_MS / HOP_MS)
+  const vibratos = []
+  let driftSum = 0
+  let driftWeight = 0
+  for (const note of notes) {
+    const cents = noteCents(note, frames)
+    if (cents.length < 3) continue
+    let window = driftWindow
+    let drift = movingAverage(cents, window)
+
+    if (note.duration >= VIBRATO_MIN_NOTE_MS) {
+      const vibrato = detectNoteVibrato(cents.map((c, i) => c - drift[i]))
+      if (vibrato) {
+        vibratos.push(vibrato)
+        // Averaging over exactly one vibrato cycle cancels it out of the drift
+        window = Math.round(1000 / HOP_MS / vibrato.rate)
+        drift = movingAverage(cents, window)
+      }
+    }
+
+    // Only judge drift where the averaging window fits inside the note
+    const half = Math.floor(window / 2)
+    const settled = drift.length > 2 * half ? drift.slice(half, drift.length - half) : drift
+    const driftSpread = Math.sqrt(settled.reduce((sum, d) => sum + d * d, 0) / settled.length)
+    driftSum += driftSpread * cents.length
+    driftWeight += cents.length
+  }
+
+  const longNotes = notes.filter(n => n.duration >= VIBRATO_MIN_NOTE_MS).length
+  // Vibrato has to show up in at least half the long notes to count as a habit
+  const vibrato = vibratos.length > 0 && vibratos.length >= longNotes / 2
+    ? {
+      rate: Math.round(median(vibratos.map(v => v.rate)) * 10) / 10,
+      depth: Math.round(median(vibratos.map(v => v.depth))),
+    }
+    : null
+
+  const meanDrift = driftWeight > 0 ? driftSum / driftWeight : UNSTABLE_DRIFT_CENTS
+  const stability = Math.max(0, Math.min(1, 1 - meanDrift / UNSTABLE_DRIFT_CENTS))
+
+  return {
+    lowest: pitch(lowest),
+    highest: pitch(highest),
+    span: highest - lowest,
+    tessitura: { low: pitch(tessituraLow), high: pitch(tessituraHigh) },
+    voiceType: voiced ? closestVoiceType(tessituraLow, tessituraHigh) : null,
+    vibrato,
+    stability: Math.round(stability * 100) / 100,
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * PCM WAV decoder producing AudioBuffer-compatible objects, so the analysis
+ * modules can run on files outside the browser (no decodeAudioData there).
+ * Handles 8/16/24/32-bit integer and 32/64-bit float PCM, including
+ * WAVE_FORMAT_EXTENSIBLE headers.
+ */
+
+import { createAnalysisBuffer } from './analysisInput.js'
+
+const FORMAT_PCM = 1
+const FORMAT_FLOAT = 3
+const FORMAT_EXTENSIBLE = 0xFFFE
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  )
+}
+
+/**
+ * Sample reader for one encoding; returns values in [-1, 1).
+ */
+function sampleReader(view, format, bitsPerSample) {
+  if (format === FORMAT_FLOAT) {
+    if (bitsPerSample === 32) return (offset) => view.getFloat32(offset, true)
+    if (bitsPerSample === 64) return (offset) => view.getFloat64(offset, true)
+  } else {
+    if (bitsPerSample === 8) return (offset) => (view.getUint8(offset) - 128) / 128
+    if (bitsPerSample === 16) return (offset) => view.getInt16(offset, true) / 32768
+    if (bitsPerSample === 24) {
+      return (offset) => {
+        const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16)
+        return value / 8388608
+      }
+    }
+    if (bitsPerSample === 32) return (offset) => view.getInt32(offset, true) / 2147483648
+  }
+  throw new Error(`Unsupported WAV encoding: ${format === FORMAT_FLOAT ? 'float' : 'PCM'} ${bitsPerSample}-bit`)
+}
+
+/**
+ * Decode a WAV file held in an ArrayBuffer (or a Node Buffer / typed array).
+ * Returns an AudioBuffer-compatible object with one Float32Array per channel.
+ */
+export function decodeWav(input) {
+  const view = ArrayBuffer.isView(input)
+    ? new DataView(input.buffer, input.byteOffset, input.byteLength)
+    : new DataView(input)
+
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file')
+  }
+
+  let fmt = null
+  let data = null
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset)
+    const size = view.getUint32(offset + 4, true)
+    const body = offset + 8
+    // Streamed files may leave the size unset; clamp to what's actually there
+    const available = Math.min(size, view.byteLength - body)
+
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true)
+      if (format === FORMAT_EXTENSIBLE && available >= 26) format = view.getUint16(body + 24, true)
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      }
+    } else if (id === 'data') {
+      data = { offset: body, length: available }
+    }
+
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2)
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk')
+  if (!data) throw new Error('WAV file has no data chunk')
+  if (fmt.format !== FORMAT_PCM && fmt.format !== FORMAT_FLOAT) {
+    throw new Error(`Unsupported WAV format code ${fmt.format}`)
+  }
+  if (fmt.channels < 1 || fmt.sampleRate < 1) throw new Error('Invalid WAV fmt chunk')
+
+  const read = sampleReader(view, fmt.format, fmt.bitsPerSample)
+  const bytesPerSample = fmt.bitsPerSample / 8
+  const blockAlign = fmt.blockAlign || fmt.channels * bytesPerSample
+  const frames = Math.floor(data.length / blockAlign)
+
+  const channels = []
+  for (let c = 0; c < fmt.channels; c++) channels.push(new Float32Array(frames))
+  for (let i = 0; i < frames; i++) {
+    const frameOffset = data.offset + i * blockAlign
+    for (let c = 0; c < fmt.channels; c++) {
+      channels[c][i] = read(frameOffset + c * bytesPerSample)
+    }
+  }
+
+  return createAnalysisBuffer(channels, fmt.sampleRate)
+}
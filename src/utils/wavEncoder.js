@@ -0,0 +1,54 @@
+/**
+ * 16-bit PCM WAV encoder for AudioBuffers (or compatible objects), so trimmed
+ * or edited takes can be handed on as ordinary audio files.
+ */
+
+const HEADER_BYTES = 44
+
+function writeTag(view, offset, tag) {
+  for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i))
+}
+
+/**
+ * Encode an AudioBuffer as a 16-bit PCM WAV file. Returns an ArrayBuffer.
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer
+  const blockAlign = numberOfChannels * 2
+  const dataBytes = length * blockAlign
+  const view = new DataView(new ArrayBuffer(HEADER_BYTES + dataBytes))
+
+  writeTag(view, 0, 'RIFF')
+  view.setUint32(4, HEADER_BYTES - 8 + dataBytes, true)
+  writeTag(view, 8, 'WAVE')
+  writeTag(view, 12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, numberOfChannels, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, 16, true)
+  writeTag(view, 36, 'data')
+  view.setUint32(40, dataBytes, true)
+
+  const channels = []
+  for (let c = 0; c < numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c))
+  let offset = HEADER_BYTES
+  for (let i = 0; i < length; i++) {
+    for (const data of channels) {
+      const sample = Math.max(-1, Math.min(1, data[i]))
+      view.setInt16(offset, sample < 0 ? sample * 32768 : sample * 32767, true)
+      offset += 2
+    }
+  }
+
+  return view.buffer
+}
+
+/**
+ * Encode an AudioBuffer as a WAV Blob.
+ */
+export function encodeWavBlob(audioBuffer) {
+  return new Blob([encodeWav(audioBuffer)], { type: 'audio/wav' })
+}
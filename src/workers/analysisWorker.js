@@ -0,0 +1,26 @@
+/**
+ * Web Worker that runs the analysis pipeline off the main thread.
+ *
+ * In:  { id, channels: Float32Array[], sampleRate, preprocessingOptions, tempoPrior }
+ * Out: { id, type: 'progress', stage, label, progress }
+ *      { id, type: 'result', results }
+ *      { id, type: 'error', message }
+ */
+
+import { createAnalysisBuffer } from '../utils/analysisInput.js'
+import { analyzeRecording } from '../utils/analysisPipeline.js'
+
+self.onmessage = (event) => {
+  const { id, channels, sampleRate, preprocessingOptions, tempoPrior } = event.data
+
+  try {
+    const results = analyzeRecording(createAnalysisBuffer(channels, sampleRate), {
+      preprocessingOptions,
+      tempoPrior,
+      onProgress: (progress) => self.postMessage({ id, type: 'progress', ...progress }),
+    })
+    self.postMessage({ id, type: 'result', results })
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message })
+  }
+}
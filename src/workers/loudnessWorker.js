@@ -0,0 +1,21 @@
+/**
+ * Web Worker that meters loudness off the main thread, so a full-length song
+ * doesn't stall playback controls while it is measured.
+ *
+ * In:  { id, channels: Float32Array[], sampleRate }
+ * Out: { id, type: 'result', results }
+ *      { id, type: 'error', message }
+ */
+
+import { createAnalysisBuffer } from '../utils/analysisInput.js'
+import { measureLoudness } from '../utils/loudness.js'
+
+self.onmessage = (event) => {
+  const { id, channels, sampleRate } = event.data
+
+  try {
+    self.postMessage({ id, type: 'result', results: measureLoudness(createAnalysisBuffer(channels, sampleRate)) })
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message })
+  }
+}